@@ -9,7 +9,8 @@ import {
   toBaselineEntries,
   isWithinThreshold,
   readBaselineState,
-  writeBaseline
+  writeBaseline,
+  indexBaseline
 } from "../core/baseline.js";
 
 // Re-export the pure baseline primitives so the action layer has a single import site.
@@ -37,12 +38,12 @@ export const mergeWithBaseline = (rows, baseline) => {
     return rows;
   }
 
-  const map = new Map(baseline.map((row) => [row.file, row]));
+  const { find } = indexBaseline(baseline);
 
   return rows.map((row) => {
-    const previous = map.get(row.file);
+    const [, previous] = find(row);
 
-    if (!previous) {
+    if (!previous || previous.missing) {
       return { ...row, baselineSize: "N/A", baselineDiff: "N/A", diffPercent: null, trend: "N/A" };
     }
 
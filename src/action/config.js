@@ -1,6 +1,6 @@
 import path from "node:path";
 import * as core from "@actions/core";
-import { loadConfig, normalizeConfig } from "../config/load-config.js";
+import { loadConfig } from "../config/load-config.js";
 
 /**
  * Build inline config from JSON input
@@ -39,10 +39,6 @@ export const resolveConfig = async () => {
   const cwd = resolveWorkingDirectory(core.getInput("working-directory"));
   const inlineConfig = buildInlineConfig(filesInput);
 
-  if (inlineConfig) {
-    return normalizeConfig(inlineConfig, { cwd, source: { type: "inline" } });
-  }
-
-  return loadConfig({ cwd, configPath: configInput || undefined });
+  return loadConfig({ cwd, configPath: configInput || undefined, inlineConfig });
 };
 
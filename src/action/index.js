@@ -7,7 +7,14 @@ import * as github from "@actions/github";
 import { resolveConfig } from "./config.js";
 import { runChecks } from "../core/run-checks.js";
 import { jsonFileReporter } from "../reporters/json-file-reporter.js";
-import { buildSummaryRows, toTableData, renderHtmlTable } from "./report.js";
+import {
+  buildSummaryRows,
+  toTableData,
+  renderHtmlTable,
+  buildGroupRows,
+  toGroupTableData,
+  renderGroupHtmlTable
+} from "./report.js";
 import {
   readBaselineState,
   writeBaseline,
@@ -54,6 +61,7 @@ export const runAction = async () => {
     // Run size checks
     const result = await runChecks(config);
     const baseRows = buildSummaryRows(result.results);
+    const groupRows = buildGroupRows(result.groups);
 
     // Handle baseline configuration
     const reportFileInput = core.getInput("report-file") || "overweight-report.json";
@@ -91,11 +99,20 @@ export const runAction = async () => {
     );
     core.summary.addHeading("🧳 Overweight Size Report");
     core.summary.addTable(toTableData(summaryRows));
+
+    if (groupRows.length) {
+      core.summary.addHeading("Budget groups", 3);
+      core.summary.addTable(toGroupTableData(groupRows));
+    }
+
     await core.summary.write();
 
-    const htmlTable = renderHtmlTable(summaryRows);
+    const htmlTable = `${renderHtmlTable(summaryRows)}${renderGroupHtmlTable(groupRows)}`;
 
-    core.setOutput("report-json", JSON.stringify({ rows: summaryRows, stats: result.stats }));
+    core.setOutput(
+      "report-json",
+      JSON.stringify({ rows: summaryRows, groups: groupRows, stats: result.stats })
+    );
     core.setOutput("report-table", htmlTable);
     core.setOutput("has-failures", String(result.stats.hasFailures));
     core.setOutput("report-file", resolvedReportPath);
@@ -8,6 +8,14 @@ const statusEmoji = (row) => {
     return "💥";
   }
 
+  if (row.status === "skip") {
+    return "⏭️";
+  }
+
+  if (row.status === "warn") {
+    return "⚠️";
+  }
+
   return row.status === "pass" ? "🟢" : "🔺";
 };
 
@@ -31,7 +39,9 @@ const diffCell = (row) => {
 export const buildSummaryRows = (results) =>
   results.map((entry) => ({
     label: entry.label,
+    ...(entry.ruleLabel && entry.ruleLabel !== entry.label ? { ruleLabel: entry.ruleLabel } : {}),
     file: entry.filePath,
+    ...(entry.fileKey && entry.fileKey !== entry.filePath ? { fileKey: entry.fileKey } : {}),
     tester: entry.testerLabel,
     size: entry.sizeFormatted,
     sizeBytes: typeof entry.size === "number" ? entry.size : 0,
@@ -39,8 +49,9 @@ export const buildSummaryRows = (results) =>
     limitBytes: entry.maxSize,
     diff: entry.diffFormatted,
     diffBytes: typeof entry.diff === "number" ? entry.diff : 0,
-    status: entry.error ? "error" : entry.passed ? "pass" : "fail",
-    error: entry.error || null
+    status: entry.status ?? (entry.error ? "error" : entry.skipped ? "skip" : entry.passed ? "pass" : "fail"),
+    error: entry.error || null,
+    ...(entry.missing && entry.passed ? { missing: entry.status } : {})
   }));
 
 /**
@@ -53,6 +64,7 @@ export const toTableData = (rows) => [
     { data: "Status", header: true },
     { data: "Label", header: true },
     { data: "File", header: true },
+    { data: "Tester", header: true },
     { data: "Size", header: true },
     { data: "Limit", header: true },
     { data: "Δ", header: true },
@@ -62,6 +74,7 @@ export const toTableData = (rows) => [
     { data: statusEmoji(row) },
     { data: row.label },
     { data: row.file },
+    { data: row.tester },
     { data: row.size },
     { data: row.limit },
     { data: diffCell(row) },
@@ -75,16 +88,82 @@ export const toTableData = (rows) => [
  * @returns {string} HTML table string
  */
 export const renderHtmlTable = (rows) => {
-  const header = ["Status", "Label", "File", "Size", "Limit", "Δ", "Trend"]
+  const header = ["Status", "Label", "File", "Tester", "Size", "Limit", "Δ", "Trend"]
     .map((title) => `<th>${title}</th>`)
     .join("");
   const body = rows
     .map(
       (row) =>
-        `<tr><td>${statusEmoji(row)}</td><td>${row.label}</td><td>${row.file}</td><td>${row.size}</td><td>${row.limit}</td><td>${diffCell(row)}</td><td>${row.trend || "N/A"}</td></tr>`
+        `<tr><td>${statusEmoji(row)}</td><td>${row.label}</td><td>${row.file}</td><td>${row.tester}</td><td>${row.size}</td><td>${row.limit}</td><td>${diffCell(row)}</td><td>${row.trend || "N/A"}</td></tr>`
     )
     .join("");
 
   return `<table><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`;
 };
 
+
+/**
+ * Build summary rows from group results
+ * @param {Array} groups - Group results
+ * @returns {Array} Group summary rows
+ */
+export const buildGroupRows = (groups = []) =>
+  groups.map((group) => ({
+    label: group.label,
+    rules: group.rules.join(", "),
+    tester: group.testerLabel,
+    size: group.sizeFormatted,
+    limit: group.maxSizeFormatted,
+    diff: group.diffFormatted,
+    status: group.status ?? (group.error ? "error" : group.passed ? "pass" : "fail"),
+    error: group.error || null
+  }));
+
+/**
+ * Convert group rows to table data format for GitHub Actions summary
+ * @param {Array} rows - Group summary rows
+ * @returns {Array} Table data array
+ */
+export const toGroupTableData = (rows) => [
+  [
+    { data: "Status", header: true },
+    { data: "Group", header: true },
+    { data: "Rules", header: true },
+    { data: "Tester", header: true },
+    { data: "Size", header: true },
+    { data: "Limit", header: true },
+    { data: "Δ", header: true }
+  ],
+  ...rows.map((row) => [
+    { data: statusEmoji(row) },
+    { data: row.label },
+    { data: row.rules },
+    { data: row.tester },
+    { data: row.size },
+    { data: row.limit },
+    { data: row.diff }
+  ])
+];
+
+/**
+ * Render group rows as HTML table
+ * @param {Array} rows - Group summary rows
+ * @returns {string} HTML table string, or an empty string when there are no groups
+ */
+export const renderGroupHtmlTable = (rows) => {
+  if (!rows.length) {
+    return "";
+  }
+
+  const header = ["Status", "Group", "Rules", "Tester", "Size", "Limit", "Δ"]
+    .map((title) => `<th>${title}</th>`)
+    .join("");
+  const body = rows
+    .map(
+      (row) =>
+        `<tr><td>${statusEmoji(row)}</td><td>${row.label}</td><td>${row.rules}</td><td>${row.tester}</td><td>${row.size}</td><td>${row.limit}</td><td>${row.diff}</td></tr>`
+    )
+    .join("");
+
+  return `<table><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`;
+};
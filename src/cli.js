@@ -4,17 +4,22 @@ import path from "node:path";
 import cac from "cac";
 import pc from "picocolors";
 
-import { loadConfig, normalizeConfig } from "./config/load-config.js";
+import { loadConfig } from "./config/load-config.js";
+import { readBaselineState } from "./core/baseline.js";
 import { runChecks } from "./core/run-checks.js";
-import { getReporter } from "./reporters/index.js";
+import { loadReporter } from "./reporters/index.js";
 import { syncBaseline } from "./cli/baseline-sync.js";
+import { resolveReporterSpecs, isQuietRun } from "./cli/reporters.js";
 
 const cli = cac("overweight");
 
 cli
   .option("--config <path>", "Path to an overweight configuration file.")
   .option("--root <path>", "Working directory for resolving files and globs.")
-  .option("--reporter <name>", "Reporter to use (console, json, json-file, silent).")
+  .option(
+    "--reporter <name>",
+    "Reporter to use (console, badge, csv, github, gitlab-codequality, html, json, json-file, junit, markdown, openmetrics, sarif, silent, tap, tsv, or a module path). Repeatable; append =<path> to set that reporter's output file."
+  )
   .option("--json", "Shortcut for --reporter=json.")
   .option("--report-file <path>", "Target path for the json-file reporter output.")
   .option("--files <json>", "Inline JSON array of file rules (overrides config file).")
@@ -26,7 +31,9 @@ cli
     "--baseline-threshold <value>",
     "Tolerance below which a size change is ignored. Fraction in (0,1) = percent, integer/size = absolute bytes. Default 0.01 (1%); use 0 to record every byte."
   )
+  .option("--fail-on-warn", "Exit with a non-zero code when any file or group reaches its warnAt threshold.")
   .option("--update-baseline", "Write the reconciled baseline back to --baseline when it changes beyond tolerance.")
+  .option("--verbose", "Print each rule's globs and effective ignore list before checking.")
   .help();
 
 const buildSingleRule = (options) => {
@@ -61,8 +68,6 @@ const parseInlineFiles = (value) => {
   }
 };
 
-const QUIET_REPORTERS = new Set(["json", "json-file", "silent"]);
-
 const renderBaselineStatus = ({ status, path: display }) => {
   switch (status) {
     case "up-to-date":
@@ -80,29 +85,58 @@ const renderBaselineStatus = ({ status, path: display }) => {
   }
 };
 
+// Goes to stderr so machine-readable reporters (json, tap) keep a clean stdout.
+const printResolution = (config) => {
+  console.error(pc.dim(`Resolving files from ${config.root}`));
+
+  config.files.forEach((rule) => {
+    const ignore = [...rule.ignore, ...(rule.respectGitignore ? ["(git ignore rules)"] : [])];
+
+    console.error(pc.dim(`  ${rule.label}: ${rule.patterns.join(", ")}`));
+    console.error(pc.dim(`    ignore: ${ignore.length ? ignore.join(", ") : "none"}`));
+  });
+};
+
 const resolveConfig = async (options, root) => {
   const inlineConfig = options.files ? parseInlineFiles(options.files) : buildSingleRule(options);
 
-  if (inlineConfig) {
-    return normalizeConfig(inlineConfig, { cwd: root, source: { type: "inline" } });
-  }
-
-  return loadConfig({ cwd: root, configPath: options.config });
+  return loadConfig({ cwd: root, configPath: options.config, inlineConfig });
 };
 
 const main = async () => {
   try {
     const { options } = cli.parse();
     const root = options.root ? path.resolve(process.cwd(), options.root) : process.cwd();
-    const reporterName = options.json ? "json" : options.reporter;
     const config = await resolveConfig(options, root);
-    const reporter = getReporter(reporterName || "console", {
-      reportFile: options.reportFile,
-      cwd: root
-    });
+
+    if (options.verbose) {
+      printResolution(config);
+    }
+
+    const reporterSpecs = resolveReporterSpecs(options, config, root);
+    const baseline = options.baseline
+      ? (await readBaselineState(path.resolve(root, options.baseline))).data
+      : null;
+    const reporters = [];
+
+    for (const spec of reporterSpecs) {
+      // --report-file predates per-reporter paths and only ever targeted json-file.
+      const reportFile = spec.name === "json-file" ? options.reportFile : undefined;
+
+      reporters.push(
+        await loadReporter(
+          spec.name,
+          { reportFile, cwd: root, baseline, configSource: config.source, ...spec.options },
+          { baseDir: spec.baseDir }
+        )
+      );
+    }
+
     const result = await runChecks(config);
 
-    reporter(result);
+    for (const reporter of reporters) {
+      await reporter(result);
+    }
 
     const baselineOutcome = await syncBaseline({
       result,
@@ -114,11 +148,12 @@ const main = async () => {
 
     const baselineMessage = renderBaselineStatus(baselineOutcome);
 
-    if (baselineMessage && !QUIET_REPORTERS.has(reporterName)) {
-      console.log(baselineMessage);
+    if (baselineMessage && !isQuietRun(reporterSpecs)) {
+      console.error(baselineMessage);
     }
 
-    process.exit(result.stats.hasFailures ? 1 : 0);
+    const failed = result.stats.hasFailures || (options.failOnWarn && result.stats.hasWarnings);
+    process.exit(failed ? 1 : 0);
   } catch (error) {
     console.error(pc.red(error.message));
     process.exit(1);
@@ -0,0 +1,53 @@
+import path from "node:path";
+
+// Reporters whose output must stay machine-readable; anything else (including modules) counts as console-like.
+const QUIET_REPORTERS = new Set(["badge", "csv", "gitlab-codequality", "html", "json", "json-file", "junit", "markdown", "openmetrics", "sarif", "silent", "tap", "tsv"]);
+
+/**
+ * Parse one `--reporter` value. A trailing `=<path>` becomes that reporter's
+ * `reportFile`, e.g. `json-file=reports/size.json`.
+ *
+ * @param {string} value - Raw flag value.
+ * @returns {{name: string, options: {reportFile?: string}}}
+ */
+export const parseReporterFlag = (value) => {
+  const [name, ...rest] = `${value}`.split("=");
+  const reportFile = rest.join("=");
+
+  return { name, options: reportFile ? { reportFile } : {} };
+};
+
+/**
+ * Decide which reporters a CLI run uses. `--json`/`--reporter` flags (repeatable) win
+ * over the config's `reporters`, which win over the default `console`. Each spec
+ * carries the directory its module path resolves against: the root for flags, the
+ * config file's directory for config entries.
+ *
+ * @param {Object} options - Parsed CLI options.
+ * @param {Object} config - The normalized config.
+ * @param {string} root - The CLI working directory.
+ * @returns {Array<{name: string, options: Object, baseDir: string}>}
+ */
+export const resolveReporterSpecs = (options, config, root) => {
+  const flags = [...(options.json ? ["json"] : []), ...[].concat(options.reporter ?? [])];
+
+  if (flags.length) {
+    return flags.map((flag) => ({ ...parseReporterFlag(flag), baseDir: root }));
+  }
+
+  if (config.reporters?.length) {
+    const baseDir = config.source?.location ? path.dirname(config.source.location) : root;
+    return config.reporters.map((reporter) => ({ ...reporter, baseDir }));
+  }
+
+  return [{ name: "console", options: {}, baseDir: root }];
+};
+
+/**
+ * Whether every active reporter is machine-readable, in which case status
+ * messages (e.g. the baseline outcome) must not be printed.
+ *
+ * @param {Array<{name: string}>} specs
+ * @returns {boolean}
+ */
+export const isQuietRun = (specs) => specs.every(({ name }) => QUIET_REPORTERS.has(name));
@@ -1,26 +1,140 @@
 import fs from "node:fs/promises";
+import { createRequire } from "node:module";
 import path from "node:path";
+import { pathToFileURL } from "node:url";
 
 import { z } from "zod";
 
-import { DEFAULT_TESTER_ID } from "../testers/index.js";
+import { compilePattern } from "../files/glob-pattern.js";
+import { findLabelPlaceholders } from "../files/label-template.js";
+import { DEFAULT_TESTER_ID, createTester, listTesters } from "../testers/index.js";
 import { formatBytes, parseSize, toDisplaySize } from "../utils/size.js";
 
 const NORMALIZED_CONFIG_FLAG = Symbol.for("overweight.normalizedConfig");
 
-const FileSchema = z.object({
-  path: z.string().min(1, "Each file rule requires a path or glob pattern"),
-  maxSize: z.union([z.string(), z.number()]),
+// Known keys are validated; anything else passes through untouched for custom testers.
+const CompressionSettingsSchema = z.looseObject({
+  level: z.number().int().optional(),
+  windowBits: z.number().int().optional(),
+  memLevel: z.number().int().optional(),
+  mode: z.enum(["generic", "text", "font"]).optional()
+});
+
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+// Object-valued entries (e.g. `brotli: { level: 5 }`) hold one tester's settings and are validated the same way.
+const CompressionOptionsSchema = CompressionSettingsSchema.superRefine((options, context) => {
+  for (const [key, value] of Object.entries(options)) {
+    if (isPlainObject(value)) {
+      CompressionSettingsSchema.safeParse(value).error?.issues.forEach((issue) =>
+        context.addIssue({ ...issue, path: [key, ...issue.path] })
+      );
+    }
+  }
+});
+
+// Ranges the built-in testers accept; zlib would otherwise throw (or silently clamp) at measure time.
+const BUILTIN_OPTION_RANGES = {
+  gzip: { level: [-1, 9], windowBits: [9, 15], memLevel: [1, 9] },
+  brotli: { level: [0, 11], windowBits: [10, 24] },
+  zstd: { level: [-131072, 22], windowBits: [10, 31] }
+};
+
+const SizeSchema = z.union([z.string(), z.number()]);
+
+const PatternSchema = z.string().min(1, "Each file rule requires a path or glob pattern");
+
+// Entries of a `path` array starting with "!" exclude matches instead of adding them.
+const splitPatterns = (filePath) => {
+  const entries = Array.isArray(filePath) ? filePath : [filePath];
+
+  return {
+    patterns: entries.filter((entry) => !entry.startsWith("!")),
+    excludes: entries.filter((entry) => entry.startsWith("!")).map((entry) => entry.slice(1))
+  };
+};
+
+// What an unmatched glob produces: a failing error row, a passing warn row, or a skipped row.
+const OnMissingSchema = z.enum(["error", "warn", "skip"]);
+
+const FileSchema = z
+  .object({
+    path: z.union([PatternSchema, z.array(PatternSchema).min(1, "Each file rule requires a path or glob pattern")]),
+    maxSize: SizeSchema.optional(),
+    compression: z.string().optional(),
+    limits: z.record(z.string(), SizeSchema).optional(),
+    aggregate: z.enum(["sum", "concat"]).optional(),
+    compressionOptions: CompressionOptionsSchema.optional(),
+    label: z.string().optional(),
+    warnAt: SizeSchema.optional(),
+    minSize: SizeSchema.optional(),
+    failOnEmpty: z.boolean().optional(),
+    onMissing: OnMissingSchema.optional(),
+    ignore: z.array(PatternSchema).optional(),
+    respectGitignore: z.boolean().optional(),
+    hashPattern: z.string().min(1).optional()
+  })
+  .refine((file) => splitPatterns(file.path).patterns.length > 0, {
+    message: "Each file rule requires at least one path or glob pattern that is not negated"
+  })
+  .refine((file) => (file.limits ? Object.keys(file.limits).length > 0 : file.maxSize !== undefined), {
+    message: "Each file rule requires a maxSize or a non-empty limits map"
+  })
+  .refine((file) => !(file.limits && (file.maxSize !== undefined || file.compression)), {
+    message: "A file rule with limits cannot also set maxSize or compression"
+  });
+
+const GroupSchema = z.object({
+  label: z.string().min(1, "Each group requires a label"),
+  rules: z.array(z.string()).min(1, "Each group must reference at least one rule label"),
+  maxSize: SizeSchema,
   compression: z.string().optional(),
-  label: z.string().optional()
+  warnAt: SizeSchema.optional()
 });
 
+const TesterSchema = z.looseObject({
+  id: z.string().min(1, "Each tester requires an id"),
+  label: z.string().optional(),
+  measure: z.custom((value) => typeof value === "function", "Each tester requires a measure function")
+});
+
+const ReporterSchema = z.union([
+  z.string().min(1),
+  z.object({
+    name: z.string().min(1, "Each reporter requires a name or module path"),
+    options: z.record(z.string(), z.unknown()).optional()
+  })
+]);
+
 const ConfigSchema = z.object({
   root: z.string().optional(),
   defaultCompression: z.string().optional(),
-  files: z.array(FileSchema).min(1, "Provide at least one file rule to check")
+  compressionOptions: CompressionOptionsSchema.optional(),
+  warnAt: SizeSchema.optional(),
+  failOnEmpty: z.boolean().optional(),
+  onMissing: OnMissingSchema.optional(),
+  ignore: z.array(PatternSchema).optional(),
+  respectGitignore: z.boolean().optional(),
+  hashPattern: z.string().min(1).optional(),
+  files: z.array(FileSchema).min(1, "Provide at least one file rule to check"),
+  groups: z.array(GroupSchema).optional(),
+  testers: z.array(z.union([z.string(), TesterSchema])).optional(),
+  reporters: z.array(ReporterSchema).optional()
 });
 
+const CONFIG_FILE_NAMES = [
+  "overweight.json",
+  "overweight.config.json",
+  "overweight.config.js",
+  "overweight.config.mjs",
+  "overweight.config.cjs",
+  "overweight.config.ts",
+  "overweight.config.mts",
+  "overweight.config.cts"
+];
+
+const MODULE_EXTENSIONS = new Set([".js", ".mjs", ".cjs", ".ts", ".mts", ".cts"]);
+
 const ensureArrayConfig = (input) => (Array.isArray(input) ? { files: input } : input);
 
 const fileExists = async (targetPath) => {
@@ -32,6 +146,150 @@ const fileExists = async (targetPath) => {
   }
 };
 
+const PERCENT_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*%\s*$/;
+
+/**
+ * Resolve a `warnAt` value against a limit: `"90%"` is a share of `maxBytes`,
+ * anything else an absolute size. Returns null when no threshold is set.
+ */
+const resolveWarnBytes = (filePath, warnAt, maxBytes) => {
+  if (warnAt === undefined) {
+    return null;
+  }
+
+  const percent = typeof warnAt === "string" ? warnAt.match(PERCENT_PATTERN) : null;
+
+  if (percent) {
+    const value = Number(percent[1]);
+
+    if (value <= 0 || value > 100) {
+      throw new Error(`warnAt for "${filePath}" must be a percentage between 0 and 100`);
+    }
+
+    return Math.ceil((maxBytes * value) / 100);
+  }
+
+  const warnBytes = parseSize(warnAt);
+
+  if (warnBytes < 0) {
+    throw new Error(`warnAt for "${filePath}" must be greater than or equal to zero`);
+  }
+
+  // A threshold at or over the limit would only ever fire alongside (or instead of) a failure.
+  if (warnBytes >= maxBytes) {
+    throw new Error(`warnAt for "${filePath}" must be below its maxSize`);
+  }
+
+  return warnBytes;
+};
+
+const buildLimit = (filePath, compression, maxSize, warnAt) => {
+  const maxBytes = parseSize(maxSize);
+
+  if (maxBytes < 0) {
+    throw new Error(`maxSize for "${filePath}" must be greater than or equal to zero`);
+  }
+
+  return {
+    compression: compression.toLowerCase(),
+    maxBytes,
+    maxSizeInput: maxSize,
+    maxDisplay: toDisplaySize(maxSize, maxBytes),
+    maxFormatted: formatBytes(maxBytes),
+    warnBytes: resolveWarnBytes(filePath, warnAt, maxBytes)
+  };
+};
+
+const buildMinimum = (filePath, minSize, limits) => {
+  if (minSize === undefined) {
+    return { minBytes: null, minFormatted: null };
+  }
+
+  const minBytes = parseSize(minSize);
+
+  if (minBytes < 0) {
+    throw new Error(`minSize for "${filePath}" must be greater than or equal to zero`);
+  }
+
+  // minSize floors the raw bytes, so only an uncompressed limit can contradict it.
+  const raw = limits.find((limit) => limit.compression === "none");
+
+  if (raw && minBytes > raw.maxBytes) {
+    throw new Error(`minSize for "${filePath}" must not exceed its uncompressed maxSize`);
+  }
+
+  return { minBytes, minFormatted: formatBytes(minBytes) };
+};
+
+/**
+ * The options one tester of a rule runs with: per layer (config, then rule), the
+ * shared entries followed by the entry keyed by that tester's id. Entries keyed by
+ * another tester are dropped.
+ */
+const resolveCompressionOptions = (compression, layers, testerIds) =>
+  layers.reduce((resolved, layer = {}) => {
+    const shared = Object.entries(layer).filter(([key, value]) => !(testerIds.has(key) && isPlainObject(value)));
+    const own = isPlainObject(layer[compression]) ? layer[compression] : {};
+
+    return { ...resolved, ...Object.fromEntries(shared), ...own };
+  }, {});
+
+/**
+ * Check a limit's options against the built-in tester it runs. Testers declared in
+ * the config may replace a built-in id, in which case their options are their own.
+ */
+const validateCompressionOptions = (filePath, compression, options, customTesterIds) => {
+  const ranges = customTesterIds.has(compression) ? {} : BUILTIN_OPTION_RANGES[compression] ?? {};
+
+  for (const [key, [min, max]] of Object.entries(ranges)) {
+    const value = options[key];
+
+    if (value !== undefined && (value < min || value > max)) {
+      throw new Error(
+        `compressionOptions.${key} for "${filePath}" must be between ${min} and ${max} for ${compression} (got ${value})`
+      );
+    }
+  }
+};
+
+// An aggregate rule reports one row for all its matches, so nothing per file can fill its label.
+const validateLabel = (filePath, label, patterns, aggregate) => {
+  const [placeholder] = aggregate ? findLabelPlaceholders({ label, patterns }) : [];
+
+  if (placeholder) {
+    throw new Error(`label for "${filePath}" uses ${placeholder}, which an aggregate rule cannot resolve per file`);
+  }
+
+  return label;
+};
+
+const validateHashPattern = (filePath, hashPattern) => {
+  if (hashPattern === undefined) {
+    return null;
+  }
+
+  try {
+    new RegExp(hashPattern, "g");
+  } catch (error) {
+    throw new Error(`hashPattern for "${filePath}" is not a valid regular expression: ${error.message}`);
+  }
+
+  return hashPattern;
+};
+
+// Capture names in `(?<name>…)` must be valid (and unique) regular expression group names.
+const validateCaptures = (patterns, root) => {
+  for (const pattern of patterns) {
+    try {
+      compilePattern(pattern, root);
+    } catch (error) {
+      throw new Error(`Capture groups in "${pattern}" are invalid: ${error.message}`);
+    }
+  }
+
+  return patterns;
+};
+
 const readJson = async (targetPath) => {
   const raw = await fs.readFile(targetPath, "utf-8");
 
@@ -42,39 +300,168 @@ const readJson = async (targetPath) => {
   }
 };
 
+// TypeScript modules rely on Node's built-in type stripping, so no loader is bundled.
+const importDefault = async (targetPath, description) => {
+  let loaded;
+
+  try {
+    loaded = await import(pathToFileURL(targetPath).href);
+  } catch (error) {
+    throw new Error(`Failed to load ${description}: ${error.message}`);
+  }
+
+  return loaded.default ?? loaded;
+};
+
+const importConfigModule = async (targetPath) => {
+  const exported = await importDefault(targetPath, `config module at ${targetPath}`);
+  return typeof exported === "function" ? exported() : exported;
+};
+
+const isPathSpecifier = (specifier) => specifier.startsWith(".") || path.isAbsolute(specifier);
+
+/**
+ * Resolve a module specifier the way an import written in a file inside `baseDir` would:
+ * relative and absolute paths against `baseDir`, bare package names through its node_modules.
+ */
+export const resolveModuleSpecifier = (specifier, baseDir) =>
+  isPathSpecifier(specifier)
+    ? path.resolve(baseDir, specifier)
+    : createRequire(path.join(baseDir, "package.json")).resolve(specifier);
+
+const importTesterModule = (specifier, baseDir) => {
+  let modulePath;
+
+  try {
+    modulePath = resolveModuleSpecifier(specifier, baseDir);
+  } catch (error) {
+    throw new Error(`Failed to resolve tester module "${specifier}": ${error.message}`);
+  }
+
+  return importDefault(modulePath, `tester module "${specifier}"`);
+};
+
+// Swap tester module specifiers for their default exports ahead of (synchronous) normalization.
+const resolveTesterModules = async (rawConfig, baseDir) => {
+  if (!Array.isArray(rawConfig?.testers)) {
+    return rawConfig;
+  }
+
+  const testers = [];
+
+  for (const tester of rawConfig.testers) {
+    testers.push(typeof tester === "string" ? await importTesterModule(tester, baseDir) : tester);
+  }
+
+  return { ...rawConfig, testers };
+};
+
+const readConfigFile = (targetPath) =>
+  MODULE_EXTENSIONS.has(path.extname(targetPath)) ? importConfigModule(targetPath) : readJson(targetPath);
+
+/**
+ * Identity helper for `overweight.config.{js,mjs,cjs,ts}` files: gives editors the
+ * config typings without changing the value. Accepts a config or a (possibly async)
+ * function returning one.
+ */
+export const defineConfig = (config) => config;
+
 export const isNormalizedConfig = (config) => Boolean(config?.[NORMALIZED_CONFIG_FLAG]);
 
 export const normalizeConfig = (rawConfig, { cwd, source } = {}) => {
   const configRoot = path.resolve(cwd || process.cwd());
   const parsed = ConfigSchema.parse(ensureArrayConfig(rawConfig));
   const defaultCompression = (parsed.defaultCompression || DEFAULT_TESTER_ID).toLowerCase();
+  const testers = (parsed.testers || []).map((tester) => {
+    if (typeof tester === "string") {
+      throw new Error(`Tester module "${tester}" must be resolved through loadConfig before normalizing`);
+    }
+
+    return createTester(tester);
+  });
+  const customTesterIds = new Set(testers.map((tester) => tester.id));
+  const testerIds = new Set([...listTesters().map((tester) => tester.id), ...customTesterIds]);
 
   const normalized = {
     root: parsed.root ? path.resolve(configRoot, parsed.root) : configRoot,
     defaultCompression,
+    compressionOptions: parsed.compressionOptions || {},
     files: parsed.files.map((file) => {
-      const maxBytes = parseSize(file.maxSize);
-
-      if (maxBytes < 0) {
-        throw new Error(`maxSize for "${file.path}" must be greater than or equal to zero`);
-      }
-
-      const compression = (file.compression || defaultCompression).toLowerCase();
+      const { patterns, excludes } = splitPatterns(file.path);
+      // Several globs display (and key baseline entries) as one comma-separated pattern.
+      const pattern = patterns.join(", ");
+      const warnAt = file.warnAt ?? parsed.warnAt;
+      const measuredLimits = file.limits
+        ? Object.entries(file.limits).map(([compression, maxSize]) =>
+            buildLimit(pattern, compression, maxSize, warnAt)
+          )
+        : [buildLimit(pattern, file.compression || defaultCompression, file.maxSize, warnAt)];
+      // Testers passed to runChecks at run time are unknown here, but the rule's own are not.
+      const ruleTesterIds = new Set([...testerIds, ...measuredLimits.map((limit) => limit.compression)]);
+      const limits = measuredLimits.map((limit) => {
+        const compressionOptions = resolveCompressionOptions(
+          limit.compression,
+          [parsed.compressionOptions, file.compressionOptions],
+          ruleTesterIds
+        );
+
+        validateCompressionOptions(pattern, limit.compression, compressionOptions, customTesterIds);
+
+        return { ...limit, compressionOptions };
+      });
+      const [primary] = limits;
+      const onMissing = file.onMissing ?? parsed.onMissing ?? "error";
 
       return {
-        path: file.path,
-        pattern: file.path,
-        label: file.label || file.path,
-        compression,
-        maxBytes,
-        maxSizeInput: file.maxSize,
-        maxDisplay: toDisplaySize(file.maxSize, maxBytes),
-        maxFormatted: formatBytes(maxBytes)
+        path: pattern,
+        pattern,
+        patterns: validateCaptures(patterns, configRoot),
+        label: validateLabel(pattern, file.label || pattern, patterns, file.aggregate),
+        compression: primary.compression,
+        compressionOptions: primary.compressionOptions,
+        maxBytes: primary.maxBytes,
+        maxSizeInput: primary.maxSizeInput,
+        maxDisplay: primary.maxDisplay,
+        maxFormatted: primary.maxFormatted,
+        warnBytes: primary.warnBytes,
+        ...buildMinimum(pattern, file.minSize, limits),
+        failOnEmpty: file.failOnEmpty ?? parsed.failOnEmpty ?? false,
+        limits,
+        aggregate: file.aggregate || null,
+        onMissing,
+        ignore: Array.from(new Set([...(parsed.ignore || []), ...(file.ignore || []), ...excludes])),
+        respectGitignore: file.respectGitignore ?? parsed.respectGitignore ?? false,
+        hashPattern: validateHashPattern(pattern, file.hashPattern ?? parsed.hashPattern)
       };
     }),
+    testers,
+    reporters: (parsed.reporters || []).map((reporter) =>
+      typeof reporter === "string" ? { name: reporter, options: {} } : { options: {}, ...reporter }
+    ),
     source: source || { type: "inline" }
   };
 
+  const ruleLabels = new Set(normalized.files.map((file) => file.label));
+
+  normalized.groups = (parsed.groups || []).map((group) => {
+    const unknown = group.rules.find((label) => !ruleLabels.has(label));
+
+    if (unknown) {
+      throw new Error(`Group "${group.label}" references unknown rule "${unknown}"`);
+    }
+
+    return {
+      label: group.label,
+      rules: group.rules,
+      ...buildLimit(
+        group.label,
+        group.compression || defaultCompression,
+        group.maxSize,
+        group.warnAt ?? parsed.warnAt
+      )
+    };
+  });
+
   normalized[NORMALIZED_CONFIG_FLAG] = true;
   return normalized;
 };
@@ -83,7 +470,8 @@ export const loadConfig = async ({ cwd = process.cwd(), configPath, inlineConfig
   const root = path.resolve(cwd);
 
   if (inlineConfig) {
-    return normalizeConfig(inlineConfig, { cwd: root, source: { type: "inline" } });
+    const data = await resolveTesterModules(inlineConfig, root);
+    return normalizeConfig(data, { cwd: root, source: { type: "inline" } });
   }
 
   const tryLoadConfig = async (candidatePath) => {
@@ -91,7 +479,7 @@ export const loadConfig = async ({ cwd = process.cwd(), configPath, inlineConfig
       return null;
     }
 
-    const data = await readJson(candidatePath);
+    const data = await resolveTesterModules(await readConfigFile(candidatePath), path.dirname(candidatePath));
     return normalizeConfig(data, { cwd: root, source: { type: "file", location: candidatePath } });
   };
 
@@ -106,9 +494,7 @@ export const loadConfig = async ({ cwd = process.cwd(), configPath, inlineConfig
     return loaded;
   }
 
-  const defaultConfigPaths = ["overweight.json", "overweight.config.json"].map((file) =>
-    path.join(root, file)
-  );
+  const defaultConfigPaths = CONFIG_FILE_NAMES.map((file) => path.join(root, file));
 
   for (const candidate of defaultConfigPaths) {
     const loaded = await tryLoadConfig(candidate);
@@ -125,7 +511,9 @@ export const loadConfig = async ({ cwd = process.cwd(), configPath, inlineConfig
     const field = pkgJson.overweight;
 
     if (field) {
-      return normalizeConfig(ensureArrayConfig(field), {
+      const data = await resolveTesterModules(ensureArrayConfig(field), root);
+
+      return normalizeConfig(data, {
         cwd: root,
         source: { type: "package", location: packageJsonPath }
       });
@@ -133,7 +521,7 @@ export const loadConfig = async ({ cwd = process.cwd(), configPath, inlineConfig
   }
 
   throw new Error(
-    "No overweight configuration found. Create an overweight.json (or overweight.config.json) file, add an `overweight` field to package.json, or pass --config."
+    "No overweight configuration found. Create an overweight.json (or overweight.config.json/.js/.mjs/.cjs/.ts) file, add an `overweight` field to package.json, or pass --config."
   );
 };
 
@@ -12,20 +12,59 @@ export const DEFAULT_BASELINE_THRESHOLD = 0.01;
  *   { label, file, tester, size, sizeBytes, limit, limitBytes }
  *
  * `sizeBytes`/`limitBytes` are exact byte counts; `size`/`limit` are their
- * human-readable forms. `file` is the relative path and acts as the entry key.
+ * human-readable forms. `file` is the relative path; together with `tester` it
+ * forms the entry key (see {@link toBaselineKey}), since one file may be measured
+ * by several testers. For content-hashed names (`main.3f9a1c.js`), `fileKey`
+ * holds the path with the hash replaced by `[hash]` and keys the entry instead.
+ *
+ * A rule whose glob matched nothing under `onMissing: "warn"` or `"skip"` is
+ * recorded as a sizeless entry keyed by its pattern, with `missing` set to the
+ * row's status (`size: "N/A"`, `sizeBytes: 0`).
  *
  * @typedef {Object} BaselineEntry
  * @property {string} label
  * @property {string} file
+ * @property {string} [fileKey]
  * @property {string} tester
  * @property {string} size
  * @property {number} sizeBytes
  * @property {string} limit
  * @property {number} limitBytes
+ * @property {"warn"|"skip"} [missing]
  *
  * @typedef {{thresholdBytes: number, thresholdPercent: number}} BaselineThreshold
  */
 
+// The hash-insensitive `fileKey` when there is one, the plain path otherwise.
+const stableFile = (entry) => entry.fileKey ?? entry.file;
+
+/**
+ * The key matching a baseline entry across runs: `file` (or `fileKey`) plus
+ * `tester`. Entries recorded without a tester (hand-written or legacy snapshots)
+ * key on the file alone.
+ * @param {{file: string, fileKey?: string, tester?: string}} entry
+ * @returns {string}
+ */
+export const toBaselineKey = (entry) =>
+  entry.tester ? `${stableFile(entry)}::${entry.tester}` : stableFile(entry);
+
+/**
+ * Index baseline rows by {@link toBaselineKey} and return a lookup that falls
+ * back to a tester-less row for the same file.
+ * @param {Array} rows
+ * @returns {{map: Map<string, Object>, find: (entry: Object) => [string, Object]|[]}}
+ */
+export const indexBaseline = (rows) => {
+  const map = new Map(rows.map((row) => [toBaselineKey(row), row]));
+
+  const find = (entry) => {
+    const key = [toBaselineKey(entry), stableFile(entry)].find((candidate) => map.has(candidate));
+    return key === undefined ? [] : [key, map.get(key)];
+  };
+
+  return { map, find };
+};
+
 /**
  * Parse a baseline tolerance value into a {@link BaselineThreshold} descriptor.
  *
@@ -77,27 +116,36 @@ export const isWithinThreshold = (nextBytes, previousBytes, threshold) => {
   return delta <= tolerance;
 };
 
+// Entries of a templated label record the configured one as `ruleLabel`.
+const ruleOf = (entry) => entry.ruleLabel ?? entry.label;
+
+// Unmatched rows that don't fail the run: `onMissing: "warn"` or `"skip"`.
+const isToleratedMissing = (entry) => Boolean(entry.missing && entry.passed);
+
 /**
- * Convert a {@link runChecks} result into baseline entries. Errored/missing
- * results (no numeric size) are skipped so the baseline only records measured files.
+ * Convert a {@link runChecks} result into baseline entries. Tolerated unmatched
+ * rules become `missing` entries; errored results (no numeric size) are skipped.
  * @param {{results: Array}} result - The object returned by `runChecks`.
  * @returns {BaselineEntry[]}
  */
 export const toBaselineEntries = (result) =>
   (result?.results ?? [])
-    .filter((entry) => typeof entry.size === "number")
+    .filter((entry) => typeof entry.size === "number" || isToleratedMissing(entry))
     .map((entry) => ({
       label: entry.label,
+      ...(entry.ruleLabel && entry.ruleLabel !== entry.label ? { ruleLabel: entry.ruleLabel } : {}),
       file: entry.filePath,
+      ...(entry.fileKey && entry.fileKey !== entry.filePath ? { fileKey: entry.fileKey } : {}),
       tester: entry.testerLabel,
       size: entry.sizeFormatted,
-      sizeBytes: entry.size,
+      sizeBytes: entry.size ?? 0,
       limit: entry.maxSizeFormatted,
-      limitBytes: entry.maxSize
+      limitBytes: entry.maxSize,
+      ...(isToleratedMissing(entry) ? { missing: entry.status } : {})
     }));
 
 /**
- * Project arbitrary rows down to the {@link BaselineEntry} shape, sorted by file.
+ * Project arbitrary rows down to the {@link BaselineEntry} shape, sorted by file then tester.
  * @param {Array} entries
  * @returns {BaselineEntry[]}
  */
@@ -105,14 +153,17 @@ export const buildBaselineSnapshot = (entries) =>
   [...entries]
     .map((entry) => ({
       label: entry.label,
+      ...(entry.ruleLabel ? { ruleLabel: entry.ruleLabel } : {}),
       file: entry.file,
+      ...(entry.fileKey ? { fileKey: entry.fileKey } : {}),
       tester: entry.tester,
       size: entry.size,
       sizeBytes: entry.sizeBytes,
       limit: entry.limit,
-      limitBytes: entry.limitBytes
+      limitBytes: entry.limitBytes,
+      ...(entry.missing ? { missing: entry.missing } : {})
     }))
-    .sort((a, b) => a.file.localeCompare(b.file));
+    .sort((a, b) => a.file.localeCompare(b.file) || `${a.tester}`.localeCompare(`${b.tester}`));
 
 /**
  * Serialize entries into the canonical baseline JSON document.
@@ -163,6 +214,8 @@ export const writeBaseline = async (baselinePath, entries, precomputedContent) =
  * threshold. Files whose size moved within tolerance retain their previously
  * recorded values (preventing churn and drift); files beyond tolerance, new files,
  * removed files, or metadata changes (limit/tester/label) mark the baseline dirty.
+ * A `missing` entry keeps the previously recorded files of its rule (same rule
+ * label and tester), so builds that legitimately skip an output don't churn the baseline.
  *
  * @param {Array} nextEntries - Current entries (e.g. from {@link toBaselineEntries}).
  * @param {Array|null} previousData - Parsed baseline snapshot, or null/non-array when none exists.
@@ -176,23 +229,39 @@ export const reconcileBaseline = (nextEntries, previousData, threshold) => {
   }
 
   const normalized = normalizeThreshold(threshold);
-  const previousByFile = new Map(previousData.map((row) => [row.file, row]));
+  const { map: previousByKey, find } = indexBaseline(previousData);
   let needsUpdate = false;
 
-  const rows = nextEntries.map((row) => {
-    const previous = previousByFile.get(row.file);
+  const retainMeasured = (row) => {
+    const kept = Array.from(previousByKey).filter(
+      ([, previous]) => !previous.missing && ruleOf(previous) === ruleOf(row) && previous.tester === row.tester
+    );
+
+    kept.forEach(([key]) => previousByKey.delete(key));
+    return kept.map(([, previous]) => previous);
+  };
+
+  const rows = nextEntries.flatMap((row) => {
+    const retained = row.missing ? retainMeasured(row) : [];
+
+    if (retained.length) {
+      return retained;
+    }
+
+    const [key, previous] = find(row);
 
     if (!previous) {
       needsUpdate = true;
       return row;
     }
 
-    previousByFile.delete(row.file);
+    previousByKey.delete(key);
 
     const metadataChanged =
       row.limitBytes !== previous.limitBytes ||
       row.tester !== previous.tester ||
-      row.label !== previous.label;
+      row.label !== previous.label ||
+      row.missing !== previous.missing;
     const sizeChanged = !isWithinThreshold(row.sizeBytes, previous.sizeBytes ?? 0, normalized);
 
     if (metadataChanged || sizeChanged) {
@@ -200,10 +269,11 @@ export const reconcileBaseline = (nextEntries, previousData, threshold) => {
       return row;
     }
 
-    return previous;
+    // A new content hash alone is no change; just record the current name.
+    return row.file === previous.file ? previous : { ...previous, file: row.file };
   });
 
-  if (previousByFile.size > 0) {
+  if (previousByKey.size > 0) {
     needsUpdate = true;
   }
 
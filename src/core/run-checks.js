@@ -1,26 +1,245 @@
+import { Buffer } from "node:buffer";
 import fs from "node:fs/promises";
+import path from "node:path";
 
 import { normalizeConfig, isNormalizedConfig } from "../config/load-config.js";
+import { createFileKey } from "../files/file-key.js";
+import { createLabel } from "../files/label-template.js";
 import { resolveFiles } from "../files/resolve-files.js";
 import { createTesterRegistry, getTester } from "../testers/index.js";
 import { formatBytes, formatDiff } from "../utils/size.js";
 
-const buildMissingResult = (rule) => ({
+const MISSING_MESSAGE = "No files matched this pattern";
+
+const MISSING_OUTCOMES = {
+  error: { status: "error", passed: false, error: MISSING_MESSAGE },
+  warn: { status: "warn", passed: true, reason: MISSING_MESSAGE },
+  skip: { status: "skip", passed: true, skipped: true, reason: MISSING_MESSAGE }
+};
+
+// The rule's `onMissing` decides whether an unmatched glob errors, warns, or is skipped.
+const buildMissingResult = (rule, limit, tester) => ({
   pattern: rule.pattern,
+  patterns: rule.patterns,
   label: rule.label,
+  ruleLabel: rule.label,
   filePath: rule.pattern,
-  tester: rule.compression,
-  testerLabel: rule.compression,
+  fileKey: rule.pattern,
+  tester: tester.id,
+  testerLabel: tester.label,
   size: null,
   sizeFormatted: "N/A",
-  maxSizeFormatted: rule.maxFormatted,
-  maxSize: rule.maxBytes,
+  maxSizeFormatted: limit.maxFormatted,
+  maxSize: limit.maxBytes,
+  warnSize: limit.warnBytes ?? null,
+  minSize: rule.minBytes ?? null,
   diff: null,
   diffFormatted: "N/A",
-  passed: false,
-  error: "No files matched this pattern"
+  missing: true,
+  ...MISSING_OUTCOMES[rule.onMissing]
 });
 
+/**
+ * "fail" over the limit, "warn" from the limit's `warnBytes` up to the limit,
+ * "pass" otherwise.
+ */
+const measuredStatus = (size, { maxBytes, warnBytes }) => {
+  if (size > maxBytes) {
+    return "fail";
+  }
+
+  return typeof warnBytes === "number" && size >= warnBytes ? "warn" : "pass";
+};
+
+/**
+ * Why a measured row fails even within its limit: an empty file under
+ * `failOnEmpty`, or fewer raw bytes than `minSize`. Both check the uncompressed
+ * size, which every tester of a rule shares. Null when neither applies.
+ */
+const minimumViolation = (rule, rawSize) => {
+  if (rule.failOnEmpty && rawSize === 0) {
+    return "File is empty (0 bytes)";
+  }
+
+  if (typeof rule.minBytes === "number" && rawSize < rule.minBytes) {
+    return `${formatBytes(rawSize)} uncompressed is below the ${rule.minFormatted} minimum`;
+  }
+
+  return null;
+};
+
+const buildResult = ({
+  rule,
+  limit,
+  tester,
+  size,
+  rawSize,
+  label = rule.label,
+  filePath,
+  fileKey = filePath,
+  absolutePath
+}) => {
+  const diff = size - limit.maxBytes;
+  const violation = minimumViolation(rule, rawSize);
+
+  return {
+    pattern: rule.pattern,
+    patterns: rule.patterns,
+    label,
+    ruleLabel: rule.label,
+    filePath,
+    fileKey,
+    absolutePath,
+    tester: tester.id,
+    testerLabel: tester.label,
+    size,
+    sizeFormatted: formatBytes(size),
+    maxSizeFormatted: limit.maxFormatted,
+    maxSize: limit.maxBytes,
+    warnSize: limit.warnBytes ?? null,
+    minSize: rule.minBytes ?? null,
+    diff,
+    diffFormatted: formatDiff(diff),
+    status: violation ? "fail" : measuredStatus(size, limit),
+    passed: !violation && diff <= 0,
+    ...(violation ? { reason: violation } : {})
+  };
+};
+
+const measure = async (tester, buffer, { rule, limit, filePath, displayPath }) => {
+  let measurement;
+
+  try {
+    measurement = await tester.measure(buffer, {
+      filePath,
+      pattern: rule.pattern,
+      compressionOptions: limit.compressionOptions ?? rule.compressionOptions ?? {}
+    });
+  } catch (error) {
+    throw new Error(
+      `Tester "${tester.id}" failed to measure "${displayPath}" (rule "${rule.pattern}"): ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  const size = Number(measurement?.bytes);
+
+  if (!Number.isFinite(size)) {
+    throw new Error(`Tester "${tester.id}" did not return a numeric size for "${displayPath}"`);
+  }
+
+  return size;
+};
+
+/**
+ * Measure every match of an aggregate rule and fold them into one row per tester.
+ * `sum` adds the individually compressed sizes; `concat` compresses the matches
+ * joined into a single buffer. Either way the row carries a per-file breakdown.
+ */
+const measureAggregate = async ({ rule, checks, matches, root }) => {
+  const buffers = [];
+
+  for (const match of matches) {
+    buffers.push(await fs.readFile(match.absolutePath));
+  }
+
+  const rawSize = buffers.reduce((total, buffer) => total + buffer.length, 0);
+  const results = [];
+
+  for (const { limit, tester } of checks) {
+    const files = [];
+
+    for (const [index, match] of matches.entries()) {
+      const size = await measure(tester, buffers[index], {
+        rule,
+        limit,
+        filePath: match.absolutePath,
+        displayPath: match.relativePath
+      });
+
+      files.push({
+        filePath: match.relativePath,
+        absolutePath: match.absolutePath,
+        size,
+        sizeFormatted: formatBytes(size)
+      });
+    }
+
+    const size =
+      rule.aggregate === "concat"
+        ? await measure(tester, Buffer.concat(buffers), {
+            rule,
+            limit,
+            filePath: path.resolve(root, rule.patterns[0]),
+            displayPath: rule.pattern
+          })
+        : files.reduce((total, file) => total + file.size, 0);
+
+    results.push({
+      // No single file backs the row, so it has no absolutePath; `files` carries the real paths.
+      ...buildResult({ rule, limit, tester, size, rawSize, filePath: rule.pattern }),
+      aggregate: rule.aggregate,
+      files
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Sum the measured rows of the rules a group references, restricted to the
+ * group's tester. A referenced rule without such a row (unmatched glob or a
+ * different tester) turns the group into an error row, unless its glob matched
+ * nothing under `onMissing: "warn"` or `"skip"`, which adds nothing to the sum.
+ * Rows are matched on `ruleLabel`, since templated labels differ per file.
+ */
+const buildGroupResult = (group, results, registry) => {
+  const tester = getTester(group.compression, registry);
+  const rows = results.filter((entry) => group.rules.includes(entry.ruleLabel) && entry.tester === tester.id);
+  const measured = rows.filter((entry) => typeof entry.size === "number");
+  const files = measured.map(({ label, filePath, size, sizeFormatted }) => ({ label, filePath, size, sizeFormatted }));
+  const tolerated = new Set(rows.filter((entry) => entry.missing && entry.passed).map((entry) => entry.ruleLabel));
+  const unmeasured = group.rules.find(
+    (label) => !tolerated.has(label) && !measured.some((entry) => entry.ruleLabel === label)
+  );
+  const base = {
+    label: group.label,
+    rules: group.rules,
+    tester: tester.id,
+    testerLabel: tester.label,
+    maxSize: group.maxBytes,
+    maxSizeFormatted: group.maxFormatted,
+    warnSize: group.warnBytes ?? null,
+    files
+  };
+
+  if (unmeasured) {
+    return {
+      ...base,
+      size: null,
+      sizeFormatted: "N/A",
+      diff: null,
+      diffFormatted: "N/A",
+      status: "error",
+      passed: false,
+      error: `Rule "${unmeasured}" has no ${tester.label} measurement`
+    };
+  }
+
+  const size = files.reduce((total, file) => total + file.size, 0);
+  const diff = size - group.maxBytes;
+
+  return {
+    ...base,
+    size,
+    sizeFormatted: formatBytes(size),
+    diff,
+    diffFormatted: formatDiff(diff),
+    status: measuredStatus(size, group),
+    passed: diff <= 0
+  };
+};
+
 const markNormalized = (config) =>
   normalizeConfig(config, {
     cwd: config.root || process.cwd(),
@@ -29,63 +248,87 @@ const markNormalized = (config) =>
 
 export const runChecks = async (rawConfig, options = {}) => {
   const normalizedConfig = isNormalizedConfig(rawConfig) ? rawConfig : markNormalized(rawConfig);
-  const registry = createTesterRegistry(options.testers);
+  const registry = createTesterRegistry(normalizedConfig.testers, options.testers);
 
   const results = [];
 
   for (const fileRule of normalizedConfig.files) {
-    const tester = getTester(fileRule.compression || normalizedConfig.defaultCompression, registry);
-    const matches = await resolveFiles(fileRule.pattern, { root: normalizedConfig.root });
+    const checks = fileRule.limits.map((limit) => ({
+      limit,
+      tester: getTester(limit.compression || normalizedConfig.defaultCompression, registry)
+    }));
+    const toFileKey = createFileKey(fileRule, normalizedConfig.root);
+    const toLabel = createLabel(fileRule, normalizedConfig.root);
+    const matches = await resolveFiles(fileRule.patterns, {
+      root: normalizedConfig.root,
+      ignore: fileRule.ignore,
+      respectGitignore: fileRule.respectGitignore
+    });
 
     if (!matches.length) {
-      results.push(buildMissingResult(fileRule));
+      checks.forEach(({ limit, tester }) => results.push(buildMissingResult(fileRule, limit, tester)));
+      continue;
+    }
+
+    if (fileRule.aggregate) {
+      results.push(
+        ...(await measureAggregate({ rule: fileRule, checks, matches, root: normalizedConfig.root }))
+      );
       continue;
     }
 
     for (const match of matches) {
       const buffer = await fs.readFile(match.absolutePath);
-      const measurement = await tester.measure(buffer, {
-        filePath: match.absolutePath,
-        pattern: fileRule.pattern
-      });
+      const fileKey = toFileKey(match.relativePath);
+      const label = toLabel(match.relativePath, fileKey);
 
-      const size = Number(measurement?.bytes);
+      for (const { limit, tester } of checks) {
+        const size = await measure(tester, buffer, {
+          rule: fileRule,
+          limit,
+          filePath: match.absolutePath,
+          displayPath: match.relativePath
+        });
 
-      if (!Number.isFinite(size)) {
-        throw new Error(`Tester "${tester.id}" did not return a numeric size for "${match.relativePath}"`);
+        results.push(
+          buildResult({
+            rule: fileRule,
+            limit,
+            tester,
+            size,
+            rawSize: buffer.length,
+            label,
+            filePath: match.relativePath,
+            fileKey,
+            absolutePath: match.absolutePath
+          })
+        );
       }
-
-      const diff = size - fileRule.maxBytes;
-      const passed = diff <= 0;
-
-      results.push({
-        pattern: fileRule.pattern,
-        label: fileRule.label,
-        filePath: match.relativePath,
-        absolutePath: match.absolutePath,
-        tester: tester.id,
-        testerLabel: tester.label,
-        size,
-        sizeFormatted: formatBytes(size),
-        maxSizeFormatted: fileRule.maxFormatted,
-        maxSize: fileRule.maxBytes,
-        diff,
-        diffFormatted: formatDiff(diff),
-        passed
-      });
     }
   }
 
+  const groups = (normalizedConfig.groups || []).map((group) => buildGroupResult(group, results, registry));
   const failures = results.filter((entry) => !entry.passed || entry.error);
+  const groupFailures = groups.filter((entry) => !entry.passed || entry.error);
+  const skipped = results.filter((entry) => entry.skipped);
+  const missing = results.filter((entry) => entry.missing);
+  const warnings = results.filter((entry) => entry.status === "warn");
+  const groupWarnings = groups.filter((entry) => entry.status === "warn");
 
   return {
     results,
+    groups,
     stats: {
       files: results.length,
       failures,
-      hasFailures: failures.length > 0,
-      hasErrors: failures.some((entry) => Boolean(entry.error))
+      groupFailures,
+      skipped,
+      missing,
+      warnings,
+      groupWarnings,
+      hasFailures: failures.length > 0 || groupFailures.length > 0,
+      hasWarnings: warnings.length > 0 || groupWarnings.length > 0,
+      hasErrors: [...failures, ...groupFailures].some((entry) => Boolean(entry.error))
     }
   };
 };
-
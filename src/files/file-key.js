@@ -0,0 +1,48 @@
+import path from "node:path";
+
+import { compilePattern, HASH_PLACEHOLDER, toPosixPath } from "./glob-pattern.js";
+
+/**
+ * Build the function deriving a matched file's stable key: its root-relative
+ * path with content hashes replaced by `[hash]`. Hashes are found where a rule
+ * glob has a `[hash]` placeholder and wherever `hashPattern` (a regular
+ * expression source) matches. Without either, the key is the path itself.
+ * @param {Object} rule - A normalized file rule.
+ * @param {string} root - The config root.
+ * @returns {(relativePath: string) => string}
+ */
+export const createFileKey = ({ patterns, hashPattern }, root) => {
+  const placeholderGlobs = patterns
+    .filter((pattern) => pattern.includes(HASH_PLACEHOLDER))
+    .map((pattern) => compilePattern(pattern, root));
+  const hashRegExp = hashPattern ? new RegExp(hashPattern, "g") : null;
+
+  if (!placeholderGlobs.length && !hashRegExp) {
+    return (relativePath) => relativePath;
+  }
+
+  return (relativePath) => {
+    let key = toPosixPath(relativePath);
+
+    for (const { regexp, hashGroups } of placeholderGlobs) {
+      const match = regexp.exec(key);
+
+      if (match) {
+        // Replace right to left so earlier indices stay valid.
+        hashGroups
+          .map((group) => match.indices[group])
+          .reverse()
+          .forEach(([start, end]) => {
+            key = `${key.slice(0, start)}${HASH_PLACEHOLDER}${key.slice(end)}`;
+          });
+        break;
+      }
+    }
+
+    if (hashRegExp) {
+      key = key.replace(hashRegExp, HASH_PLACEHOLDER);
+    }
+
+    return key.split("/").join(path.sep);
+  };
+};
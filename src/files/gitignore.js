@@ -0,0 +1,78 @@
+import { spawn } from "node:child_process";
+import path from "node:path";
+
+const runGit = (args, { cwd, input }) =>
+  new Promise((resolve, reject) => {
+    const child = spawn("git", args, { cwd, stdio: [input === undefined ? "ignore" : "pipe", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.on("error", (error) =>
+      reject(error.code === "ENOENT" ? new Error("respectGitignore requires git to be installed") : error)
+    );
+    child.on("close", (code) => resolve({ code, stdout, stderr }));
+
+    if (input !== undefined) {
+      // A git that exits early (e.g. a fatal error) closes stdin; its exit code tells the story.
+      child.stdin.on("error", () => {});
+      child.stdin.end(input);
+    }
+  });
+
+// `--show-cdup` is relative to `cwd`, so symlinked checkouts (e.g. macOS /var) still line up.
+const findRepoRoot = async (cwd) => {
+  const { code, stdout, stderr } = await runGit(["rev-parse", "--show-cdup"], { cwd });
+
+  if (code !== 0) {
+    throw new Error(`respectGitignore requires a git repository at ${cwd}: ${stderr.trim()}`);
+  }
+
+  return path.resolve(cwd, stdout.trim());
+};
+
+/**
+ * The subset of `absolutePaths` excluded by git's ignore rules: `.gitignore` files
+ * at every level, `.git/info/exclude`, and `core.excludesFile`. Only the rules
+ * decide (`--no-index`), so tracked files are checked too. Paths outside the
+ * repository that contains `root` are never ignored.
+ * @param {string[]} absolutePaths
+ * @param {Object} options
+ * @param {string} options.root - A directory inside the repository.
+ * @returns {Promise<Set<string>>}
+ * @throws {Error} When git is missing or `root` is not inside a repository.
+ */
+export const findGitIgnored = async (absolutePaths, { root }) => {
+  if (!absolutePaths.length) {
+    return new Set();
+  }
+
+  const repoRoot = await findRepoRoot(root);
+  const inside = absolutePaths
+    .map((absolutePath) => [absolutePath, path.relative(repoRoot, absolutePath)])
+    .filter(([, relative]) => relative && !relative.startsWith("..") && !path.isAbsolute(relative))
+    .map(([absolutePath, relative]) => [absolutePath, relative.split(path.sep).join("/")]);
+
+  if (!inside.length) {
+    return new Set();
+  }
+
+  // Exit code 1 means "nothing ignored"; anything above is a fatal error.
+  const { code, stdout, stderr } = await runGit(["check-ignore", "--no-index", "--stdin", "-z"], {
+    cwd: repoRoot,
+    input: inside.map(([, relative]) => relative).join("\0")
+  });
+
+  if (code > 1) {
+    throw new Error(`git check-ignore failed: ${stderr.trim()}`);
+  }
+
+  const ignored = new Set(stdout.split("\0").filter(Boolean));
+
+  return new Set(inside.filter(([, relative]) => ignored.has(relative)).map(([absolutePath]) => absolutePath));
+};
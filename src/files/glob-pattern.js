@@ -0,0 +1,105 @@
+import path from "node:path";
+
+export const HASH_PLACEHOLDER = "[hash]";
+
+// `(?<name>glob)` in a rule path captures that part of each match for label templates.
+const NAMED_GROUP = /\(\?<([A-Za-z_$][\w$]*)>([^()]*)\)/g;
+
+const PLACEHOLDERS = /\(\?<([A-Za-z_$][\w$]*)>([^()]*)\)|\[hash\]/g;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Translate the glob syntax rules use (`**`, `*`, `?`, `{a,b}`) into a regular
+ * expression source. Anything else matches literally.
+ */
+const globToRegExpSource = (glob) => {
+  let source = "";
+
+  for (let index = 0; index < glob.length; index += 1) {
+    const char = glob[index];
+
+    if (glob.startsWith("**/", index)) {
+      source += "(?:.*/)?";
+      index += 2;
+    } else if (glob.startsWith("**", index)) {
+      source += ".*";
+      index += 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      const end = glob.indexOf("}", index);
+
+      if (end === -1) {
+        source += escapeRegExp(char);
+      } else {
+        source += `(?:${glob.slice(index + 1, end).split(",").map(globToRegExpSource).join("|")})`;
+        index = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+};
+
+export const toPosixPath = (value) => value.split(path.sep).join("/");
+
+// Patterns are matched against paths relative to the config root, in POSIX form.
+export const toRootRelative = (pattern, root) =>
+  toPosixPath(path.isAbsolute(pattern) ? path.relative(root, pattern) : pattern).replace(/^\.\//, "");
+
+/**
+ * The names of the `(?<name>glob)` captures in a rule glob.
+ * @param {string} pattern
+ * @returns {string[]}
+ */
+export const captureNames = (pattern) => Array.from(pattern.matchAll(NAMED_GROUP), ([, name]) => name);
+
+/**
+ * The glob handed to the file resolver: `[hash]` (which the resolver would read as
+ * a character class) matches like `*`, and `(?<name>glob)` like its inner glob.
+ * @param {string} pattern
+ * @returns {string}
+ */
+export const toResolvableGlob = (pattern) =>
+  pattern.replace(NAMED_GROUP, "$2").split(HASH_PLACEHOLDER).join("*");
+
+/**
+ * Compile a rule glob into a regular expression over root-relative POSIX paths.
+ * `(?<name>glob)` becomes a named group; each `[hash]` an unnamed group, whose
+ * numbers are returned in `hashGroups` (for `match.indices`).
+ * @param {string} pattern
+ * @param {string} root - The config root.
+ * @returns {{regexp: RegExp, hashGroups: number[]}}
+ */
+export const compilePattern = (pattern, root) => {
+  const relative = toRootRelative(pattern, root);
+  const hashGroups = [];
+  let source = "";
+  let groups = 0;
+  let last = 0;
+
+  for (const match of relative.matchAll(PLACEHOLDERS)) {
+    const [placeholder, name, glob] = match;
+
+    source += globToRegExpSource(relative.slice(last, match.index));
+    groups += 1;
+
+    if (name) {
+      source += `(?<${name}>${globToRegExpSource(glob)})`;
+    } else {
+      hashGroups.push(groups);
+      source += "([^/]+?)";
+    }
+
+    last = match.index + placeholder.length;
+  }
+
+  source += globToRegExpSource(relative.slice(last));
+
+  return { regexp: new RegExp(`^${source}$`, "d"), hashGroups };
+};
@@ -0,0 +1,52 @@
+import path from "node:path";
+
+import { captureNames, compilePattern, toPosixPath } from "./glob-pattern.js";
+
+const LABEL_PLACEHOLDER = /\[([A-Za-z_$][\w$]*)\]/g;
+
+const FILE_PLACEHOLDERS = ["name", "dir", "ext"];
+
+/**
+ * The placeholders in a rule's label that resolve per matched file: `[name]`,
+ * `[dir]`, `[ext]`, and those naming a capture in the rule's path.
+ * @param {Object} rule - A rule with `label` and `patterns`.
+ * @returns {string[]}
+ */
+export const findLabelPlaceholders = ({ label, patterns }) => {
+  const known = new Set([...FILE_PLACEHOLDERS, ...patterns.flatMap(captureNames)]);
+
+  return Array.from(label.matchAll(LABEL_PLACEHOLDER))
+    .filter(([, name]) => known.has(name))
+    .map(([placeholder]) => placeholder);
+};
+
+/**
+ * Build the function resolving a rule's label for one matched file. `[name]`,
+ * `[dir]` and `[ext]` come from the file's key (so content hashes stay `[hash]`),
+ * and `[<group>]` from a `(?<group>…)` capture in the rule's path. Unknown
+ * placeholders are left as written; a label without any is returned unchanged.
+ * @param {Object} rule - A normalized file rule.
+ * @param {string} root - The config root.
+ * @returns {(relativePath: string, fileKey?: string) => string}
+ */
+export const createLabel = ({ label, patterns }, root) => {
+  if (!findLabelPlaceholders({ label, patterns }).length) {
+    return () => label;
+  }
+
+  const globs = patterns.map((pattern) => compilePattern(pattern, root).regexp);
+
+  return (relativePath, fileKey = relativePath) => {
+    const key = toPosixPath(fileKey);
+    const ext = path.posix.extname(key);
+    const captures = globs.map((glob) => glob.exec(toPosixPath(relativePath))?.groups).find(Boolean);
+    const values = {
+      name: path.posix.basename(key, ext),
+      dir: path.posix.dirname(key),
+      ext: ext.slice(1),
+      ...captures
+    };
+
+    return label.replace(LABEL_PLACEHOLDER, (placeholder, name) => values[name] ?? placeholder);
+  };
+};
@@ -2,19 +2,39 @@ import path from "node:path";
 
 import fg from "fast-glob";
 
-export const resolveFiles = async (pattern, { root }) => {
-  const matches = await fg(pattern, {
+import { toResolvableGlob, toRootRelative } from "./glob-pattern.js";
+import { findGitIgnored } from "./gitignore.js";
+
+/**
+ * Expand one or more globs under `root`, minus anything matching an `ignore`
+ * glob and, with `respectGitignore`, anything git's ignore rules exclude.
+ * `[hash]` placeholders match like `*`, and `(?<name>glob)` captures like `glob`.
+ * Absolute globs are rebased onto `root` first, so root-relative `ignore` globs
+ * apply to them too.
+ * @param {string|string[]} patterns
+ * @param {Object} options
+ * @param {string} options.root - Directory the globs resolve against.
+ * @param {string[]} [options.ignore] - Globs to exclude, relative to `root`.
+ * @param {boolean} [options.respectGitignore=false]
+ * @returns {Promise<Array<{absolutePath: string, relativePath: string}>>}
+ */
+export const resolveFiles = async (patterns, { root, ignore = [], respectGitignore = false }) => {
+  const toGlob = (pattern) => toResolvableGlob(toRootRelative(pattern, root));
+  const matches = await fg([patterns].flat().map(toGlob), {
     cwd: root,
     absolute: true,
     dot: true,
-    onlyFiles: true
+    onlyFiles: true,
+    ignore: ignore.map(toGlob)
   });
 
   const unique = Array.from(new Set(matches));
+  const gitIgnored = respectGitignore ? await findGitIgnored(unique, { root }) : new Set();
 
-  return unique.map((absolutePath) => ({
-    absolutePath,
-    relativePath: path.relative(root, absolutePath) || path.basename(absolutePath)
-  }));
+  return unique
+    .filter((absolutePath) => !gitIgnored.has(absolutePath))
+    .map((absolutePath) => ({
+      absolutePath,
+      relativePath: path.relative(root, absolutePath) || path.basename(absolutePath)
+    }));
 };
-
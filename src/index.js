@@ -1,6 +1,25 @@
-export { loadConfig, normalizeConfig } from "./config/load-config.js";
+export { loadConfig, normalizeConfig, defineConfig } from "./config/load-config.js";
 export { runChecks } from "./core/run-checks.js";
 export { listTesters } from "./testers/index.js";
+export {
+  badgeReporter,
+  consoleReporter,
+  csvReporter,
+  githubReporter,
+  gitlabCodeQualityReporter,
+  htmlReporter,
+  jsonReporter,
+  jsonFileReporter,
+  junitReporter,
+  markdownReporter,
+  openMetricsReporter,
+  sarifReporter,
+  silentReporter,
+  tapReporter,
+  tsvReporter,
+  getReporter,
+  loadReporter
+} from "./reporters/index.js";
 export {
   DEFAULT_BASELINE_THRESHOLD,
   parseBaselineThreshold,
@@ -0,0 +1,162 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { formatBytes } from "../utils/size.js";
+import { escapeXml, groupResultsByRule, resolveTargetPath } from "./shared.js";
+
+const DEFAULT_DIR = "overweight-badges";
+
+// Share of the limit from which a badge turns yellow.
+const DEFAULT_NEAR_LIMIT = 0.9;
+
+const BADGE_COLORS = {
+  green: "#4c1",
+  yellow: "#dfb317",
+  red: "#e05d44",
+  grey: "#9f9f9f"
+};
+
+// Rough Verdana 11px advance; close enough to size the badge halves.
+const textWidth = (text) => Math.round([...text].length * 6.5) + 10;
+
+const slugify = (value) =>
+  `${value}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "badge";
+
+/**
+ * Render a flat, shields.io-style SVG badge.
+ * @param {Object} badge
+ * @param {string} badge.label - Left-hand text.
+ * @param {string} badge.value - Right-hand text.
+ * @param {string} badge.color - Fill of the right-hand half.
+ * @returns {string}
+ */
+export const renderBadge = ({ label, value, color }) => {
+  const labelWidth = textWidth(label);
+  const valueWidth = textWidth(value);
+  const width = labelWidth + valueWidth;
+  const title = escapeXml(`${label}: ${value}`);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">`,
+    `<title>${title}</title>`,
+    '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>',
+    `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`,
+    `<g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="#555"/><rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${color}"/><rect width="${width}" height="20" fill="url(#s)"/></g>`,
+    '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+    `<text x="${labelWidth / 2}" y="14">${escapeXml(label)}</text>`,
+    `<text x="${labelWidth + valueWidth / 2}" y="14">${escapeXml(value)}</text>`,
+    "</g>",
+    "</svg>",
+    ""
+  ].join("\n");
+};
+
+/**
+ * Badge color by the worst size/limit ratio among `entries`: red when any is over
+ * its limit or errored, yellow from `nearLimit` or a `warnAt` threshold, green otherwise.
+ */
+const badgeColor = (entries, nearLimit) => {
+  if (entries.some((entry) => entry.error || !entry.passed)) {
+    return BADGE_COLORS.red;
+  }
+
+  const measured = entries.filter((entry) => typeof entry.size === "number" && entry.maxSize > 0);
+
+  if (!measured.length) {
+    return BADGE_COLORS.grey;
+  }
+
+  const ratio = Math.max(...measured.map((entry) => entry.size / entry.maxSize));
+  const warned = entries.some((entry) => entry.status === "warn");
+
+  return warned || ratio >= nearLimit ? BADGE_COLORS.yellow : BADGE_COLORS.green;
+};
+
+const badgeValue = (entries, testerLabel) => {
+  const measured = entries.filter((entry) => typeof entry.size === "number");
+
+  if (!measured.length) {
+    return entries.some((entry) => entry.error) ? "error" : "n/a";
+  }
+
+  const size =
+    measured.length === 1
+      ? measured[0].sizeFormatted
+      : formatBytes(measured.reduce((total, entry) => total + entry.size, 0));
+
+  return `${size} ${testerLabel}`;
+};
+
+// Labels that are shared or slugify alike would write the same file; later ones get `-2`, `-3`, ….
+const withUniqueFileNames = (badges) => {
+  const taken = new Set();
+
+  return badges.map((badge) => {
+    const stem = badge.fileName.slice(0, -".svg".length);
+    let fileName = badge.fileName;
+
+    for (let index = 2; taken.has(fileName); index += 1) {
+      fileName = `${stem}-${index}.svg`;
+    }
+
+    taken.add(fileName);
+    return { ...badge, fileName };
+  });
+};
+
+/**
+ * Build one badge per rule label and tester, and one per budget group. A label
+ * matching several files shows their total; the color follows the file closest to
+ * (or furthest over) its limit. `labels` maps a rule or group label to the text on
+ * the badge's left half. File names that would collide get a numeric suffix.
+ * @param {Object} result - The `runChecks` result.
+ * @param {Object} [options]
+ * @param {Record<string, string>} [options.labels]
+ * @param {number} [options.nearLimit=0.9]
+ * @returns {Array<{fileName: string, label: string, value: string, color: string, svg: string}>}
+ */
+export const buildBadges = ({ results, groups = [] }, { labels = {}, nearLimit = DEFAULT_NEAR_LIMIT } = {}) => {
+  const badges = [];
+
+  groupResultsByRule(results).forEach((rule) => {
+    const testers = [...new Set(rule.results.map((entry) => entry.testerLabel))];
+
+    testers.forEach((testerLabel) => {
+      const entries = rule.results.filter((entry) => entry.testerLabel === testerLabel);
+      const suffix = testers.length > 1 ? `-${slugify(testerLabel)}` : "";
+
+      badges.push({
+        fileName: `${slugify(rule.label)}${suffix}.svg`,
+        label: labels[rule.label] ?? rule.label,
+        value: badgeValue(entries, testerLabel),
+        color: badgeColor(entries, nearLimit)
+      });
+    });
+  });
+
+  groups.forEach((group) => {
+    badges.push({
+      fileName: `group-${slugify(group.label)}.svg`,
+      label: labels[group.label] ?? group.label,
+      value: badgeValue([group], group.testerLabel),
+      color: badgeColor([group], nearLimit)
+    });
+  });
+
+  return withUniqueFileNames(badges).map((badge) => ({ ...badge, svg: renderBadge(badge) }));
+};
+
+export const badgeReporter = (result, options = {}) => {
+  const directory = resolveTargetPath(options.reportFile, options.cwd, DEFAULT_DIR);
+  const badges = buildBadges(result, { labels: options.labels, nearLimit: options.nearLimit });
+
+  fs.mkdirSync(directory, { recursive: true });
+  badges.forEach((badge) => fs.writeFileSync(path.join(directory, badge.fileName), badge.svg));
+
+  if (!options.silent) {
+    console.error(`Saved ${badges.length} Overweight badge(s) to ${directory}`);
+  }
+};
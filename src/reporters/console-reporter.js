@@ -10,34 +10,60 @@ const columns = [
   { key: "diff", label: "Δ" }
 ];
 
-const buildRow = (result) => {
-  const status = result.error ? pc.red("ERR") : result.passed ? pc.green("PASS") : pc.red("FAIL");
-
-  return {
-    status,
-    label: result.label,
-    file: result.filePath,
-    tester: result.testerLabel,
-    size: result.sizeFormatted,
-    limit: result.maxSizeFormatted,
-    diff: result.diffFormatted
-  };
-};
+const groupColumns = [
+  { key: "status", label: "Status" },
+  { key: "label", label: "Group" },
+  { key: "rules", label: "Rules" },
+  { key: "tester", label: "Tester" },
+  { key: "size", label: "Size" },
+  { key: "limit", label: "Limit" },
+  { key: "diff", label: "Δ" }
+];
 
-const pad = (value, width) => value.padEnd(width, " ");
+const formatStatus = (result) => {
+  if (result.error) {
+    return pc.red("ERR");
+  }
 
-export const consoleReporter = ({ results, stats }) => {
-  if (!results.length) {
-    console.log(pc.yellow("No files were evaluated. Check your configuration."));
-    return;
+  if (result.skipped) {
+    return pc.dim("SKIP");
   }
 
-  const tableRows = results.map(buildRow);
-  const widths = columns.map(({ key, label }) =>
+  if (result.status === "warn") {
+    return pc.yellow("WARN");
+  }
+
+  return result.passed ? pc.green("PASS") : pc.red("FAIL");
+};
+
+const buildRow = (result) => ({
+  status: formatStatus(result),
+  label: result.label,
+  file: result.filePath,
+  tester: result.testerLabel,
+  size: result.sizeFormatted,
+  limit: result.maxSizeFormatted,
+  diff: result.diffFormatted
+});
+
+const buildGroupRow = (group) => ({
+  status: formatStatus(group),
+  label: group.label,
+  rules: group.rules.join(", "),
+  tester: group.testerLabel,
+  size: group.sizeFormatted,
+  limit: group.maxSizeFormatted,
+  diff: group.diffFormatted
+});
+
+const pad = (value, width) => value.padEnd(width, " ");
+
+const printTable = (tableColumns, tableRows) => {
+  const widths = tableColumns.map(({ key, label }) =>
     Math.max(label.length, ...tableRows.map((row) => row[key].length))
   );
 
-  const header = columns
+  const header = tableColumns
     .map(({ label }, index) => pad(pc.bold(label), widths[index]))
     .join("  ");
   const divider = widths.map((width) => "-".repeat(width)).join("  ");
@@ -45,24 +71,60 @@ export const consoleReporter = ({ results, stats }) => {
   console.log(header);
   console.log(divider);
   tableRows.forEach((row) => {
-    const line = columns
+    const line = tableColumns
       .map(({ key }, index) => pad(row[key], widths[index]))
       .join("  ");
     console.log(line);
   });
+};
+
+export const consoleReporter = ({ results, groups = [], stats }) => {
+  if (!results.length) {
+    console.log(pc.yellow("No files were evaluated. Check your configuration."));
+    return;
+  }
+
+  printTable(columns, results.map(buildRow));
+
+  if (groups.length) {
+    console.log("");
+    printTable(groupColumns, groups.map(buildGroupRow));
+  }
 
   if (stats.hasFailures) {
+    stats.failures
+      .filter((entry) => entry.reason)
+      .forEach((entry) => console.error(pc.red(`${entry.filePath} (${entry.testerLabel}): ${entry.reason}`)));
+
     const failed = stats.failures.filter((entry) => !entry.error).length;
     const errored = stats.failures.filter((entry) => Boolean(entry.error)).length;
+    const groupsFailed = stats.groupFailures?.length ?? 0;
     const parts = [`Bundle size check failed for ${failed} file(s)`];
 
     if (errored) {
       parts.push(`${errored} pattern(s) produced errors`);
     }
 
+    if (groupsFailed) {
+      parts.push(`${groupsFailed} group(s) exceeded their budget or errored`);
+    }
+
     console.error(pc.red(parts.join(". ")));
   } else {
-    console.log(pc.green(`All ${results.length} file(s) passed their size limits.`));
+    const groupSuffix = groups.length ? ` and ${groups.length} group(s)` : "";
+    const skipped = stats.skipped?.length ?? 0;
+    const skippedSuffix = skipped ? ` (${skipped} unmatched pattern(s) skipped)` : "";
+    console.log(pc.green(`All ${results.length} file(s)${groupSuffix} passed their size limits.${skippedSuffix}`));
   }
-};
 
+  const warnings = stats.warnings ?? [];
+  const warned = warnings.filter((entry) => !entry.missing).length + (stats.groupWarnings?.length ?? 0);
+
+  warnings
+    .filter((entry) => entry.missing)
+    .forEach((entry) => console.log(pc.yellow(`${entry.filePath} (${entry.testerLabel}): ${entry.reason}`)));
+
+  if (warned) {
+    console.log(pc.yellow(`${warned} file(s) or group(s) reached their warning threshold.`));
+  }
+};
@@ -0,0 +1,71 @@
+import { resolveTargetPath, resultStatus, writeReportFile } from "./shared.js";
+
+// Fixed order so rows from successive releases line up in the same sheet; new columns go last.
+const COLUMNS = [
+  ["label", (entry) => entry.label],
+  ["file", (entry) => entry.filePath ?? entry.rules.join(", ")],
+  ["tester", (entry) => entry.testerLabel],
+  ["status", (entry) => resultStatus(entry)],
+  ["size", (entry) => entry.size],
+  ["maxSize", (entry) => entry.maxSize],
+  ["diff", (entry) => entry.diff],
+  ["sizeFormatted", (entry) => entry.sizeFormatted],
+  ["maxSizeFormatted", (entry) => entry.maxSizeFormatted],
+  ["diffFormatted", (entry) => entry.diffFormatted],
+  ["error", (entry) => entry.error],
+  ["reason", (entry) => entry.reason],
+  ["kind", (entry) => (entry.rules ? "group" : "file")]
+];
+
+// RFC 4180 quoting; spreadsheets accept the same rules for tab-separated values.
+const quoteField = (value, delimiter) => {
+  const text = value === null || value === undefined ? "" : `${value}`;
+
+  return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * Render a `runChecks` result as delimited text: one line per result row, then
+ * one per budget group (`kind` tells them apart; a group's `file` lists its
+ * rules), with the raw byte fields (`size`, `maxSize`, `diff`) and their
+ * formatted counterparts, in a stable column order. Missing values are empty fields.
+ * @param {Object} result - The `runChecks` result.
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=","]
+ * @param {boolean} [options.header=true] - Emit the column names as the first line.
+ * @returns {string}
+ */
+export const renderDelimited = ({ results, groups = [] }, { delimiter = ",", header = true } = {}) => {
+  const line = (values) => values.map((value) => quoteField(value, delimiter)).join(delimiter);
+  const lines = [...results, ...groups].map((entry) => line(COLUMNS.map(([, read]) => read(entry))));
+
+  if (header) {
+    lines.unshift(line(COLUMNS.map(([name]) => name)));
+  }
+
+  return lines.length ? `${lines.join("\n")}\n` : "";
+};
+
+const createDelimitedReporter = (delimiter, format) => (result, options = {}) => {
+  const text = renderDelimited(result, { delimiter, header: options.header !== false });
+
+  if (!options.reportFile) {
+    if (text) {
+      console.log(text.trimEnd());
+    }
+    return;
+  }
+
+  const filePath = resolveTargetPath(options.reportFile, options.cwd);
+  writeReportFile(filePath, text);
+
+  if (!options.silent) {
+    console.error(`Saved Overweight ${format} report to ${filePath}`);
+  }
+};
+
+export const csvReporter = createDelimitedReporter(",", "CSV");
+
+export const tsvReporter = createDelimitedReporter("\t", "TSV");
@@ -0,0 +1,107 @@
+import path from "node:path";
+
+import { consoleReporter } from "./console-reporter.js";
+import {
+  describeFailure,
+  findConfigLine,
+  readConfigText,
+  resultStatus,
+  ruleAnchor,
+  toPosixPath
+} from "./shared.js";
+
+// Passing rows at or above this share of their limit get a `::warning`.
+const DEFAULT_NEAR_LIMIT = 0.9;
+
+const escapeData = (value) => `${value}`.replace(/%/g, "%25").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+
+const escapeProperty = (value) => escapeData(value).replace(/:/g, "%3A").replace(/,/g, "%2C");
+
+const command = (name, properties, message) => {
+  const props = Object.entries(properties)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${escapeProperty(value)}`)
+    .join(",");
+
+  return `::${name}${props ? ` ${props}` : ""}::${escapeData(message)}`;
+};
+
+const annotationMessage = (entry, target) => {
+  if (["error", "fail"].includes(resultStatus(entry)) || entry.missing) {
+    return describeFailure(entry, target);
+  }
+
+  const percent = ((entry.size / entry.maxSize) * 100).toFixed(1);
+  return `${target} (${entry.testerLabel}) is ${entry.sizeFormatted}, ${percent}% of its ${entry.maxSizeFormatted} limit`;
+};
+
+const annotationLevel = (entry, nearLimit) => {
+  const status = resultStatus(entry);
+
+  if (status === "error" || status === "fail") {
+    return "error";
+  }
+
+  if (status === "warn" || (status === "pass" && entry.maxSize > 0 && entry.size / entry.maxSize >= nearLimit)) {
+    return "warning";
+  }
+
+  return null;
+};
+
+/**
+ * Build GitHub Actions workflow commands for a `runChecks` result: an `::error`
+ * per failed or errored row and group, and a `::warning` per passing row within
+ * `nearLimit` (a fraction of its limit). When `configFile` is given, each
+ * annotation points at the line in `configText` that declares the rule or group.
+ * @param {Object} result - The `runChecks` result.
+ * @param {Object} [options]
+ * @param {number} [options.nearLimit=0.9]
+ * @param {string} [options.configFile] - Config path relative to the workspace.
+ * @param {string|null} [options.configText] - The config file's contents.
+ * @returns {string[]}
+ */
+export const renderAnnotations = (
+  { results, groups = [] },
+  { nearLimit = DEFAULT_NEAR_LIMIT, configFile, configText = null } = {}
+) => {
+  const annotate = (entry, { title, target, anchor }) => {
+    const level = annotationLevel(entry, nearLimit);
+
+    if (!level) {
+      return [];
+    }
+
+    const line = configFile ? findConfigLine(configText, anchor) : undefined;
+    return [command(level, { file: configFile, line, title }, annotationMessage(entry, target))];
+  };
+
+  return [
+    ...results.flatMap((entry) =>
+      annotate(entry, { title: `Overweight: ${entry.label}`, target: entry.filePath, anchor: ruleAnchor(entry) })
+    ),
+    ...groups.flatMap((entry) =>
+      annotate(entry, {
+        title: `Overweight group: ${entry.label}`,
+        target: `Group "${entry.label}"`,
+        anchor: entry.label
+      })
+    )
+  ];
+};
+
+export const githubReporter = (result, options = {}) => {
+  const location = options.configSource?.location;
+  const workspace = process.env.GITHUB_WORKSPACE || options.cwd || process.cwd();
+  const annotations = renderAnnotations(result, {
+    nearLimit: options.nearLimit,
+    configFile: location ? toPosixPath(path.relative(workspace, location)) : undefined,
+    configText: location ? readConfigText(location) : null
+  });
+
+  console.log("::group::Overweight size report");
+  consoleReporter(result);
+  console.log("::endgroup::");
+
+  annotations.forEach((line) => console.log(line));
+};
@@ -0,0 +1,110 @@
+import crypto from "node:crypto";
+import path from "node:path";
+
+import {
+  describeFailure,
+  findConfigLine,
+  readConfigText,
+  resolveTargetPath,
+  resultStatus,
+  ruleAnchor,
+  toPosixPath,
+  writeReportFile
+} from "./shared.js";
+
+const DEFAULT_FILE = "gl-code-quality-report.json";
+
+// Upper bounds of the share over the limit for each severity; anything beyond is a blocker.
+const SEVERITY_STEPS = [
+  [0.05, "minor"],
+  [0.2, "major"],
+  [0.5, "critical"]
+];
+
+/**
+ * Code Quality severity for a failing row: how far over its limit it is, as a
+ * share of the limit. Errored rows (e.g. unmatched globs) and rows failing their
+ * `minSize`/`failOnEmpty` guard are `major`.
+ * @param {Object} entry - A failing result row or group.
+ * @returns {"minor"|"major"|"critical"|"blocker"}
+ */
+export const severityFor = (entry) => {
+  if (entry.error || entry.reason || !(entry.maxSize > 0)) {
+    return "major";
+  }
+
+  const over = entry.diff / entry.maxSize;
+  const step = SEVERITY_STEPS.find(([bound]) => over <= bound);
+
+  return step ? step[1] : "blocker";
+};
+
+// Stable across runs as long as the label, file, and tester stay the same.
+const fingerprint = (...parts) => crypto.createHash("sha256").update(parts.join("\u0000")).digest("hex");
+
+/**
+ * Render the failing rows and groups of a `runChecks` result as GitLab Code
+ * Quality issues. Issues are located at the config line declaring the rule when
+ * `configFile` is given, otherwise at the measured file (relative to `cwd`), or a
+ * group's first member.
+ * @param {Object} result - The `runChecks` result.
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Base for issue paths. Defaults to `process.cwd()`.
+ * @param {string} [options.configFile] - Config path relative to `cwd`.
+ * @param {string|null} [options.configText] - The config file's contents.
+ * @returns {Array<Object>}
+ */
+export const renderCodeQuality = (
+  { results, groups = [] },
+  { cwd = process.cwd(), configFile, configText = null } = {}
+) => {
+  const failing = (entry) => ["fail", "error"].includes(resultStatus(entry));
+  // Aggregate rows have no path of their own; point at their first file instead of the glob.
+  const fallbackPath = (entry) => {
+    const absolutePath = entry.absolutePath ?? entry.files?.[0]?.absolutePath;
+    return absolutePath ? toPosixPath(path.relative(cwd, absolutePath)) : entry.filePath;
+  };
+  const locate = (anchor, fallback) => ({
+    path: configFile ?? fallback,
+    lines: { begin: (configFile && findConfigLine(configText, anchor)) || 1 }
+  });
+
+  return [
+    ...results.filter(failing).map((entry) => ({
+      type: "issue",
+      check_name: "overweight",
+      description: `${entry.label}: ${describeFailure(entry, entry.filePath)}`,
+      categories: ["Performance"],
+      // Keyed on the hash-insensitive path so a rebuilt bundle keeps its issue.
+      fingerprint: fingerprint(entry.label, entry.fileKey ?? entry.filePath, entry.tester),
+      severity: severityFor(entry),
+      location: locate(ruleAnchor(entry), fallbackPath(entry))
+    })),
+    ...groups.filter(failing).map((group) => ({
+      type: "issue",
+      check_name: "overweight",
+      description: describeFailure(group, `Group "${group.label}"`),
+      categories: ["Performance"],
+      fingerprint: fingerprint(`group:${group.label}`, group.rules.join(","), group.tester),
+      severity: severityFor(group),
+      location: locate(group.label, group.files?.[0]?.filePath ?? ".")
+    }))
+  ];
+};
+
+export const gitlabCodeQualityReporter = (result, options = {}) => {
+  const cwd = options.cwd || process.cwd();
+  const location = options.configSource?.location;
+  const issues = renderCodeQuality(result, {
+    cwd,
+    configFile: location ? toPosixPath(path.relative(cwd, location)) : undefined,
+    configText: location ? readConfigText(location) : null
+  });
+  const filePath = resolveTargetPath(options.reportFile, cwd, DEFAULT_FILE);
+
+  writeReportFile(filePath, `${JSON.stringify(issues, null, 2)}\n`);
+
+  if (!options.silent) {
+    console.error(`Saved Overweight GitLab Code Quality report to ${filePath}`);
+  }
+};
@@ -0,0 +1,281 @@
+import {
+  STATUS_EMOJI,
+  compareToBaseline,
+  escapeXml,
+  resolveTargetPath,
+  resultStatus,
+  writeReportFile
+} from "./shared.js";
+
+const DEFAULT_FILE = "overweight-report.html";
+
+// Treemap layout space; tiles are emitted as percentages of it.
+const TREEMAP_WIDTH = 1000;
+const TREEMAP_HEIGHT = 400;
+
+const STYLES = `
+  body { font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; margin: 2rem; color: #1f2328; }
+  h1 { font-size: 1.5rem; }
+  h2 { font-size: 1.15rem; margin-top: 2rem; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 0.35rem 0.6rem; border-bottom: 1px solid #d0d7de; white-space: nowrap; }
+  th { background: #f6f8fa; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  .summary span { margin-right: 1.25rem; }
+  .pass { color: #1a7f37; }
+  .warn { color: #9a6700; }
+  .fail, .error { color: #cf222e; }
+  .skip { color: #656d76; }
+  .chart { display: grid; grid-template-columns: minmax(8rem, 18rem) 1fr auto; gap: 0.35rem 0.75rem; align-items: center; }
+  .chart .name { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .track { position: relative; height: 0.9rem; background: #eaeef2; border-radius: 3px; }
+  .bar { height: 100%; border-radius: 3px; background: #2da44e; }
+  .bar.warn { background: #d4a72c; }
+  .bar.fail { background: #cf222e; }
+  .limit { position: absolute; top: -3px; bottom: -3px; width: 2px; background: #1f2328; }
+  .treemap { position: relative; height: 360px; border: 1px solid #d0d7de; }
+  .tile { position: absolute; box-sizing: border-box; border: 1px solid #fff; overflow: hidden;
+    padding: 0.2rem 0.35rem; font-size: 12px; color: #fff; background: #2da44e; }
+  .tile.warn { background: #d4a72c; }
+  .tile.fail, .tile.error { background: #cf222e; }
+  .sparkline polyline { fill: none; stroke: #0969da; stroke-width: 1.5; }
+  .sparkline line { stroke: #cf222e; stroke-dasharray: 2 2; }
+`;
+
+const percentOf = (value, max) => (max > 0 ? Math.min(100, (value / max) * 100) : 0).toFixed(2);
+
+const renderSummary = (results, groups) => {
+  const counts = { pass: 0, warn: 0, fail: 0, error: 0, skip: 0 };
+  [...results, ...groups].forEach((entry) => {
+    counts[resultStatus(entry)] += 1;
+  });
+
+  return `<p class="summary">${Object.entries(counts)
+    .filter(([status, count]) => count || status === "pass")
+    .map(([status, count]) => `<span class="${status}">${STATUS_EMOJI[status]} ${count} ${status}</span>`)
+    .join("")}</p>`;
+};
+
+/**
+ * A two-point trend line from the baseline size to the current size, with the
+ * limit as a dashed reference.
+ */
+const renderSparkline = (previousBytes, currentBytes, limitBytes) => {
+  const width = 80;
+  const height = 20;
+  const max = Math.max(previousBytes, currentBytes, limitBytes, 1);
+  const y = (value) => (height - 2 - (value / max) * (height - 4)).toFixed(1);
+
+  return [
+    `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img"`,
+    ` aria-label="${previousBytes} to ${currentBytes} bytes">`,
+    `<line x1="0" y1="${y(limitBytes)}" x2="${width}" y2="${y(limitBytes)}"/>`,
+    `<polyline points="2,${y(previousBytes)} ${width - 2},${y(currentBytes)}"/>`,
+    "</svg>"
+  ].join("");
+};
+
+const renderResultsTable = (results, baseline) => {
+  const withBaseline = Array.isArray(baseline);
+  const headers = ["Status", "Label", "File", "Tester", "Size", "Limit", "Δ", ...(withBaseline ? ["vs baseline", "Trend"] : [])];
+
+  const rows = results.map((entry) => {
+    const status = resultStatus(entry);
+    const cells = [
+      `<td class="${status}">${STATUS_EMOJI[status]}</td>`,
+      `<td>${escapeXml(entry.label)}</td>`,
+      `<td>${escapeXml(entry.filePath)}</td>`,
+      `<td>${escapeXml(entry.testerLabel)}</td>`,
+      `<td class="num">${escapeXml(entry.sizeFormatted)}</td>`,
+      `<td class="num">${escapeXml(entry.maxSizeFormatted)}</td>`,
+      `<td class="num">${escapeXml(entry.diffFormatted)}</td>`
+    ];
+
+    if (withBaseline) {
+      const comparison = compareToBaseline(entry, baseline);
+      const percent = comparison?.deltaPercent ? ` (${comparison.deltaPercent})` : "";
+
+      cells.push(
+        `<td class="num">${comparison ? escapeXml(`${comparison.trend} ${comparison.deltaFormatted}${percent}`) : "N/A"}</td>`,
+        `<td>${comparison ? renderSparkline(comparison.previousBytes, entry.size, entry.maxSize) : ""}</td>`
+      );
+    }
+
+    return `<tr>${cells.join("")}</tr>`;
+  });
+
+  return [
+    "<table>",
+    `<thead><tr>${headers.map((header) => `<th>${header}</th>`).join("")}</tr></thead>`,
+    `<tbody>${rows.join("\n")}</tbody>`,
+    "</table>"
+  ].join("\n");
+};
+
+const renderGroupsTable = (groups) =>
+  [
+    "<table>",
+    "<thead><tr><th>Status</th><th>Group</th><th>Rules</th><th>Tester</th><th>Size</th><th>Limit</th><th>Δ</th></tr></thead>",
+    `<tbody>${groups
+      .map((group) => {
+        const status = resultStatus(group);
+        return [
+          "<tr>",
+          `<td class="${status}">${STATUS_EMOJI[status]}</td>`,
+          `<td>${escapeXml(group.label)}</td>`,
+          `<td>${escapeXml(group.rules.join(", "))}</td>`,
+          `<td>${escapeXml(group.testerLabel)}</td>`,
+          `<td class="num">${escapeXml(group.sizeFormatted)}</td>`,
+          `<td class="num">${escapeXml(group.maxSizeFormatted)}</td>`,
+          `<td class="num">${escapeXml(group.diffFormatted)}</td>`,
+          "</tr>"
+        ].join("");
+      })
+      .join("\n")}</tbody>`,
+    "</table>"
+  ].join("\n");
+
+/**
+ * One bar chart per tester: each measured row's size against a shared scale,
+ * with its limit marked on the track.
+ */
+const renderTesterCharts = (results) => {
+  const byTester = new Map();
+
+  results
+    .filter((entry) => typeof entry.size === "number")
+    .forEach((entry) => {
+      if (!byTester.has(entry.testerLabel)) {
+        byTester.set(entry.testerLabel, []);
+      }
+
+      byTester.get(entry.testerLabel).push(entry);
+    });
+
+  return Array.from(byTester, ([tester, entries]) => {
+    const scale = Math.max(...entries.map((entry) => Math.max(entry.size, entry.maxSize)));
+    const rows = entries.map((entry) =>
+      [
+        `<span class="name" title="${escapeXml(entry.filePath)}">${escapeXml(entry.filePath)}</span>`,
+        `<div class="track"><div class="bar ${resultStatus(entry)}" style="width: ${percentOf(entry.size, scale)}%"></div>`,
+        `<div class="limit" style="left: ${percentOf(entry.maxSize, scale)}%" title="Limit ${escapeXml(entry.maxSizeFormatted)}"></div></div>`,
+        `<span>${escapeXml(entry.sizeFormatted)} / ${escapeXml(entry.maxSizeFormatted)}</span>`
+      ].join("")
+    );
+
+    return `<h3>${escapeXml(tester)}</h3>\n<div class="chart">\n${rows.join("\n")}\n</div>`;
+  }).join("\n");
+};
+
+/**
+ * Lay out weighted items as a treemap by recursively splitting them into two runs
+ * of roughly equal weight, cutting across the longer side of the current box.
+ * @param {Array<{weight: number}>} items - Sorted by weight, descending.
+ * @returns {Array<{item: Object, x: number, y: number, width: number, height: number}>}
+ */
+export const layoutTreemap = (items, x = 0, y = 0, width = TREEMAP_WIDTH, height = TREEMAP_HEIGHT) => {
+  if (items.length <= 1) {
+    return items.map((item) => ({ item, x, y, width, height }));
+  }
+
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  let split = 1;
+  let head = items[0].weight;
+
+  while (split < items.length - 1 && head + items[split].weight <= total / 2) {
+    head += items[split].weight;
+    split += 1;
+  }
+
+  const ratio = total > 0 ? head / total : split / items.length;
+  const [first, rest] = [items.slice(0, split), items.slice(split)];
+
+  if (width >= height) {
+    const cut = width * ratio;
+    return [...layoutTreemap(first, x, y, cut, height), ...layoutTreemap(rest, x + cut, y, width - cut, height)];
+  }
+
+  const cut = height * ratio;
+  return [...layoutTreemap(first, x, y, width, cut), ...layoutTreemap(rest, x, y + cut, width, height - cut)];
+};
+
+// Each file is weighed once, by the first tester it was measured with.
+const renderTreemap = (results) => {
+  const files = new Map();
+
+  results
+    .filter((entry) => typeof entry.size === "number" && entry.size > 0 && !files.has(entry.filePath))
+    .forEach((entry) => files.set(entry.filePath, { entry, weight: entry.size }));
+
+  const items = Array.from(files.values()).sort((a, b) => b.weight - a.weight);
+
+  if (!items.length) {
+    return "";
+  }
+
+  const tiles = layoutTreemap(items).map(({ item: { entry }, x, y, width, height }) => {
+    const style = [
+      `left: ${percentOf(x, TREEMAP_WIDTH)}%`,
+      `top: ${percentOf(y, TREEMAP_HEIGHT)}%`,
+      `width: ${percentOf(width, TREEMAP_WIDTH)}%`,
+      `height: ${percentOf(height, TREEMAP_HEIGHT)}%`
+    ].join("; ");
+    const title = `${entry.filePath}: ${entry.sizeFormatted} (${entry.testerLabel})`;
+
+    return `<div class="tile ${resultStatus(entry)}" style="${style}" title="${escapeXml(title)}">${escapeXml(entry.filePath)}</div>`;
+  });
+
+  return `<div class="treemap">\n${tiles.join("\n")}\n</div>`;
+};
+
+/**
+ * Render a `runChecks` result as a self-contained HTML page (inline CSS, no
+ * scripts or external assets): a summary, the results table, a groups table,
+ * per-tester bar charts of size vs limit, and a treemap of file weights. With
+ * `options.baseline`, the table gains a "vs baseline" column and a sparkline.
+ * @param {Object} result - The `runChecks` result.
+ * @param {Object} [options]
+ * @param {Array|null} [options.baseline] - Parsed baseline entries.
+ * @returns {string}
+ */
+export const renderHtml = ({ results, groups = [] }, { baseline } = {}) => {
+  const sections = results.length
+    ? [
+        renderSummary(results, groups),
+        "<h2>Results</h2>",
+        renderResultsTable(results, baseline),
+        ...(groups.length ? ["<h2>Budget groups</h2>", renderGroupsTable(groups)] : []),
+        "<h2>Size vs limit</h2>",
+        renderTesterCharts(results),
+        "<h2>File weights</h2>",
+        renderTreemap(results)
+      ]
+    : ["<p>No files were evaluated. Check your configuration.</p>"];
+
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    "<title>Overweight Size Report</title>",
+    `<style>${STYLES}</style>`,
+    "</head>",
+    "<body>",
+    "<h1>🧳 Overweight Size Report</h1>",
+    ...sections,
+    "</body>",
+    "</html>",
+    ""
+  ].join("\n");
+};
+
+export const htmlReporter = (result, options = {}) => {
+  const filePath = resolveTargetPath(options.reportFile, options.cwd, DEFAULT_FILE);
+
+  writeReportFile(filePath, renderHtml(result, options));
+
+  if (!options.silent) {
+    console.error(`Saved Overweight HTML report to ${filePath}`);
+  }
+};
@@ -1,15 +1,59 @@
+import { pathToFileURL } from "node:url";
+
+import { resolveModuleSpecifier } from "../config/load-config.js";
+import { badgeReporter } from "./badge-reporter.js";
 import { consoleReporter } from "./console-reporter.js";
+import { csvReporter, tsvReporter } from "./delimited-reporter.js";
+import { githubReporter } from "./github-reporter.js";
+import { gitlabCodeQualityReporter } from "./gitlab-codequality-reporter.js";
+import { htmlReporter } from "./html-reporter.js";
 import { jsonFileReporter } from "./json-file-reporter.js";
 import { jsonReporter } from "./json-reporter.js";
+import { junitReporter } from "./junit-reporter.js";
+import { markdownReporter } from "./markdown-reporter.js";
+import { openMetricsReporter } from "./openmetrics-reporter.js";
+import { sarifReporter } from "./sarif-reporter.js";
 import { silentReporter } from "./silent-reporter.js";
+import { tapReporter } from "./tap-reporter.js";
+
+export {
+  badgeReporter,
+  consoleReporter,
+  csvReporter,
+  githubReporter,
+  gitlabCodeQualityReporter,
+  htmlReporter,
+  jsonFileReporter,
+  jsonReporter,
+  junitReporter,
+  markdownReporter,
+  openMetricsReporter,
+  sarifReporter,
+  silentReporter,
+  tapReporter,
+  tsvReporter
+};
 
 const REPORTERS = {
+  badge: badgeReporter,
   console: consoleReporter,
+  csv: csvReporter,
+  github: githubReporter,
+  "gitlab-codequality": gitlabCodeQualityReporter,
+  html: htmlReporter,
   json: jsonReporter,
   "json-file": jsonFileReporter,
-  silent: silentReporter
+  junit: junitReporter,
+  markdown: markdownReporter,
+  openmetrics: openMetricsReporter,
+  sarif: sarifReporter,
+  silent: silentReporter,
+  tap: tapReporter,
+  tsv: tsvReporter
 };
 
+export const isBuiltinReporter = (name) => Object.hasOwn(REPORTERS, name);
+
 export const getReporter = (name = "console", options = {}) => {
   const reporterName = name || "console";
   const reporter = REPORTERS[reporterName];
@@ -21,3 +65,38 @@ export const getReporter = (name = "console", options = {}) => {
   return (result) => reporter(result, options);
 };
 
+const importReporterModule = async (specifier, baseDir) => {
+  let loaded;
+
+  try {
+    loaded = await import(pathToFileURL(resolveModuleSpecifier(specifier, baseDir)).href);
+  } catch (error) {
+    throw new Error(
+      `Unknown reporter "${specifier}". Available reporters: ${Object.keys(REPORTERS).join(", ")}, or a module path (${error.message.split("\n")[0]})`
+    );
+  }
+
+  const reporter = loaded.default ?? loaded;
+
+  if (typeof reporter !== "function") {
+    throw new Error(`Reporter module "${specifier}" must default-export a reporter function`);
+  }
+
+  return reporter;
+};
+
+/**
+ * Like {@link getReporter}, but any name that isn't built in is imported as a module
+ * specifier (resolved against `baseDir`) whose default export is a reporter function
+ * with the same `(result, options)` contract.
+ */
+export const loadReporter = async (name = "console", options = {}, { baseDir = process.cwd() } = {}) => {
+  const reporterName = name || "console";
+
+  if (isBuiltinReporter(reporterName)) {
+    return getReporter(reporterName, options);
+  }
+
+  const reporter = await importReporterModule(reporterName, baseDir);
+  return (result) => reporter(result, options);
+};
@@ -0,0 +1,97 @@
+import { escapeXml, groupResultsByRule, resolveTargetPath, resultStatus, writeReportFile } from "./shared.js";
+
+const DEFAULT_FILE = "overweight-junit.xml";
+
+const describeFailure = (entry) =>
+  [
+    `size: ${entry.size} bytes (${entry.sizeFormatted})`,
+    `limit: ${entry.maxSize} bytes (${entry.maxSizeFormatted})`,
+    `diff: ${entry.diff} bytes (${entry.diffFormatted})`,
+    `tester: ${entry.testerLabel}`
+  ].join("\n");
+
+const renderFailure = (entry) => {
+  const message = entry.reason ?? `${entry.sizeFormatted} exceeds the ${entry.maxSizeFormatted} limit by ${entry.diffFormatted}`;
+  const type = entry.reason ? "min-size" : "size";
+
+  return `<failure message="${escapeXml(message)}" type="${type}">${escapeXml(describeFailure(entry))}</failure>`;
+};
+
+const renderTestCase = (entry, classname, name) => {
+  const status = resultStatus(entry);
+  const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}"`;
+
+  if (status === "pass" || status === "warn") {
+    return `${open}/>`;
+  }
+
+  if (status === "skip") {
+    return `${open}>\n      <skipped message="${escapeXml(entry.reason)}"/>\n    </testcase>`;
+  }
+
+  const body =
+    status === "error" ? `<error message="${escapeXml(entry.error)}" type="error"/>` : renderFailure(entry);
+
+  return `${open}>\n      ${body}\n    </testcase>`;
+};
+
+const renderTestSuite = (name, cases) => {
+  const failures = cases.filter(({ entry }) => resultStatus(entry) === "fail").length;
+  const errors = cases.filter(({ entry }) => resultStatus(entry) === "error").length;
+  const skipped = cases.filter(({ entry }) => resultStatus(entry) === "skip").length;
+  const skippedAttr = skipped ? ` skipped="${skipped}"` : "";
+
+  return [
+    `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="${errors}"${skippedAttr}>`,
+    ...cases.map(({ entry, name: caseName }) => renderTestCase(entry, name, caseName)),
+    "  </testsuite>"
+  ].join("\n");
+};
+
+/**
+ * Render a `runChecks` result as JUnit XML: one `<testsuite>` per rule, one
+ * `<testcase>` per matched file and tester, plus a suite for budget groups.
+ * Over-limit rows carry a `<failure>`; errored rows (e.g. unmatched globs) an `<error>`;
+ * skipped rows (unmatched `onMissing: "skip"` rules) a `<skipped>`.
+ * @param {Object} result - The `runChecks` result.
+ * @returns {string}
+ */
+export const renderJunit = ({ results, groups = [] }) => {
+  const suites = groupResultsByRule(results).map((rule) =>
+    renderTestSuite(
+      rule.label,
+      rule.results.map((entry) => ({ entry, name: `${entry.filePath} (${entry.testerLabel})` }))
+    )
+  );
+
+  if (groups.length) {
+    suites.push(
+      renderTestSuite(
+        "Budget groups",
+        groups.map((entry) => ({ entry, name: `${entry.label} (${entry.testerLabel})` }))
+      )
+    );
+  }
+
+  const all = [...results, ...groups];
+  const failures = all.filter((entry) => resultStatus(entry) === "fail").length;
+  const errors = all.filter((entry) => resultStatus(entry) === "error").length;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="overweight" tests="${all.length}" failures="${failures}" errors="${errors}">`,
+    ...suites,
+    "</testsuites>",
+    ""
+  ].join("\n");
+};
+
+export const junitReporter = (result, options = {}) => {
+  const filePath = resolveTargetPath(options.reportFile, options.cwd, DEFAULT_FILE);
+
+  writeReportFile(filePath, renderJunit(result));
+
+  if (!options.silent) {
+    console.error(`Saved Overweight JUnit report to ${filePath}`);
+  }
+};
@@ -0,0 +1,163 @@
+import { formatBytes, formatDiff } from "../utils/size.js";
+import {
+  STATUS_EMOJI,
+  compareToBaseline,
+  resolveTargetPath,
+  resultStatus,
+  writeReportFile
+} from "./shared.js";
+
+const escapeCell = (value) => `${value ?? ""}`.replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+
+const renderTable = (headers, rows) =>
+  [
+    `| ${headers.join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`,
+    ...rows.map((cells) => `| ${cells.map(escapeCell).join(" | ")} |`)
+  ].join("\n");
+
+const trendCell = (result, baseline) => {
+  const comparison = compareToBaseline(result, baseline);
+
+  if (!comparison) {
+    return "N/A";
+  }
+
+  const percent = comparison.deltaPercent ? ` (${comparison.deltaPercent})` : "";
+  return `${comparison.trend} ${comparison.deltaFormatted}${percent}`;
+};
+
+const totalsStatus = (entries) => {
+  const statuses = new Set(entries.map(resultStatus));
+
+  if (statuses.has("fail") || statuses.has("error")) {
+    return STATUS_EMOJI.fail;
+  }
+
+  return statuses.has("warn") ? STATUS_EMOJI.warn : STATUS_EMOJI.pass;
+};
+
+// Sizes from different testers measure different encodings, so each tester gets its own total.
+const buildTotalsRows = (results) => {
+  const byTester = new Map();
+
+  for (const entry of results) {
+    byTester.set(entry.testerLabel, [...(byTester.get(entry.testerLabel) ?? []), entry]);
+  }
+
+  return Array.from(byTester, ([testerLabel, entries]) => {
+    const measured = entries.filter((entry) => typeof entry.size === "number");
+    const size = measured.reduce((total, entry) => total + entry.size, 0);
+    const limit = measured.reduce((total, entry) => total + entry.maxSize, 0);
+
+    return [
+      totalsStatus(entries),
+      "**Total**",
+      `${entries.length} result(s)`,
+      testerLabel,
+      formatBytes(size),
+      formatBytes(limit),
+      formatDiff(size - limit),
+      ""
+    ];
+  });
+};
+
+const renderErrors = (entries) => {
+  if (!entries.length) {
+    return null;
+  }
+
+  const items = entries.map((entry) => {
+    const target = entry.filePath ?? entry.rules.join(", ");
+    return `- **${entry.label}** — \`${target}\` (${entry.testerLabel}): ${entry.error}`;
+  });
+
+  return [
+    "<details>",
+    `<summary>${STATUS_EMOJI.error} ${entries.length} error(s)</summary>`,
+    "",
+    ...items,
+    "",
+    "</details>"
+  ].join("\n");
+};
+
+/**
+ * Render a `runChecks` result as GitHub-flavored markdown: a results table with a
+ * totals row per tester, a groups table when groups are configured, and a collapsed list of
+ * errors. The Trend column compares against `options.baseline` when supplied.
+ * @param {Object} result - The `runChecks` result.
+ * @param {Object} [options]
+ * @param {Array|null} [options.baseline] - Parsed baseline entries.
+ * @returns {string}
+ */
+export const renderMarkdown = ({ results, groups = [] }, { baseline } = {}) => {
+  const sections = ["## 🧳 Overweight Size Report"];
+
+  if (!results.length) {
+    sections.push("No files were evaluated. Check your configuration.");
+    return `${sections.join("\n\n")}\n`;
+  }
+
+  sections.push(
+    renderTable(
+      ["Status", "Label", "File", "Tester", "Size", "Limit", "Δ", "Trend"],
+      [
+        ...results.map((entry) => [
+          STATUS_EMOJI[resultStatus(entry)],
+          entry.label,
+          entry.filePath,
+          entry.testerLabel,
+          entry.sizeFormatted,
+          entry.maxSizeFormatted,
+          entry.diffFormatted,
+          trendCell(entry, baseline)
+        ]),
+        ...buildTotalsRows(results)
+      ]
+    )
+  );
+
+  if (groups.length) {
+    sections.push(
+      "### Budget groups",
+      renderTable(
+        ["Status", "Group", "Rules", "Tester", "Size", "Limit", "Δ"],
+        groups.map((group) => [
+          STATUS_EMOJI[resultStatus(group)],
+          group.label,
+          group.rules.join(", "),
+          group.testerLabel,
+          group.sizeFormatted,
+          group.maxSizeFormatted,
+          group.diffFormatted
+        ])
+      )
+    );
+  }
+
+  const errors = renderErrors([...results, ...groups].filter((entry) => entry.error));
+
+  if (errors) {
+    sections.push(errors);
+  }
+
+  return `${sections.join("\n\n")}\n`;
+};
+
+export const markdownReporter = (result, options = {}) => {
+  const markdown = renderMarkdown(result, options);
+
+  if (!options.reportFile) {
+    console.log(markdown);
+    return;
+  }
+
+  const filePath = resolveTargetPath(options.reportFile, options.cwd);
+  writeReportFile(filePath, markdown);
+
+  if (!options.silent) {
+    console.error(`Saved Overweight markdown report to ${filePath}`);
+  }
+};
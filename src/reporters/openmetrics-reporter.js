@@ -0,0 +1,69 @@
+import { resolveTargetPath, writeReportFileAtomic } from "./shared.js";
+
+// node_exporter's textfile collector only picks up `*.prom` files.
+const DEFAULT_FILE = "overweight.prom";
+
+const escapeLabelValue = (value) =>
+  `${value ?? ""}`.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const sample = (name, labels, value) => {
+  const pairs = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`);
+  return `${name}{${pairs.join(",")}} ${value}`;
+};
+
+// Every family is a gauge: each file replaces the previous run's values wholesale.
+const family = (name, help, samples) =>
+  samples.length ? [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `# UNIT ${name} bytes`, ...samples] : [];
+
+/**
+ * Render a `runChecks` result in the OpenMetrics text format: measured size and
+ * limit gauges per result row and budget group, and the number of failed or
+ * errored checks in `overweight_check_failures_total`.
+ * @param {Object} result - The `runChecks` result.
+ * @returns {string}
+ */
+export const renderOpenMetrics = ({ results, groups = [], stats }) => {
+  // `fileKey` keeps content-hashed files on one series across builds.
+  const fileLabels = (entry) => ({ label: entry.label, file: entry.fileKey ?? entry.filePath, tester: entry.tester });
+  const groupLabels = (entry) => ({ group: entry.label, tester: entry.tester });
+  const measured = (entry) => typeof entry.size === "number";
+  const failures = (stats.failures?.length ?? 0) + (stats.groupFailures?.length ?? 0);
+
+  return [
+    ...family(
+      "overweight_file_size_bytes",
+      "Measured size of a file.",
+      results.filter(measured).map((entry) => sample("overweight_file_size_bytes", fileLabels(entry), entry.size))
+    ),
+    ...family(
+      "overweight_file_limit_bytes",
+      "Size limit of a file.",
+      results.map((entry) => sample("overweight_file_limit_bytes", fileLabels(entry), entry.maxSize))
+    ),
+    ...family(
+      "overweight_group_size_bytes",
+      "Combined size of a budget group.",
+      groups.filter(measured).map((entry) => sample("overweight_group_size_bytes", groupLabels(entry), entry.size))
+    ),
+    ...family(
+      "overweight_group_limit_bytes",
+      "Size limit of a budget group.",
+      groups.map((entry) => sample("overweight_group_limit_bytes", groupLabels(entry), entry.maxSize))
+    ),
+    "# HELP overweight_check_failures_total Checks that exceeded their limit or errored in the last run.",
+    "# TYPE overweight_check_failures_total gauge",
+    `overweight_check_failures_total ${failures}`,
+    "# EOF",
+    ""
+  ].join("\n");
+};
+
+export const openMetricsReporter = (result, options = {}) => {
+  const filePath = resolveTargetPath(options.reportFile, options.cwd, DEFAULT_FILE);
+
+  writeReportFileAtomic(filePath, renderOpenMetrics(result));
+
+  if (!options.silent) {
+    console.error(`Saved Overweight OpenMetrics report to ${filePath}`);
+  }
+};
@@ -0,0 +1,153 @@
+import path from "node:path";
+
+import {
+  describeFailure,
+  findConfigLine,
+  groupResultsByRule,
+  readConfigText,
+  resolveTargetPath,
+  resultStatus,
+  ruleAnchor,
+  toPosixPath,
+  writeReportFile
+} from "./shared.js";
+
+const DEFAULT_FILE = "overweight.sarif";
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const INFORMATION_URI = "https://github.com/yoavniran/overweight";
+
+const groupRuleId = (label) => `group:${label}`;
+
+const ruleKey = (entry) => `${entry.ruleLabel ?? entry.label}\u0000${entry.pattern}`;
+
+/**
+ * One reporting rule per overweight rule (configured label + pattern), so a
+ * templated label doesn't split a rule per file. Rules sharing a label are told
+ * apart by their pattern. Returns the rules and the id of each row's rule.
+ */
+const buildRules = (results, groups) => {
+  const byRule = groupResultsByRule(results);
+  const labelCounts = byRule.reduce((counts, { label }) => counts.set(label, (counts.get(label) ?? 0) + 1), new Map());
+  const rules = new Map();
+  const ruleIds = new Map();
+
+  byRule.forEach(({ label, pattern }) => {
+    const id = labelCounts.get(label) > 1 ? `${label} (${pattern})` : label;
+
+    ruleIds.set(ruleKey({ label, pattern }), id);
+    rules.set(id, {
+      id,
+      shortDescription: { text: `Size budget for ${pattern}` },
+      properties: { pattern }
+    });
+  });
+
+  groups.forEach((group) => {
+    rules.set(groupRuleId(group.label), {
+      id: groupRuleId(group.label),
+      shortDescription: { text: `Combined size budget for ${group.rules.join(", ")}` },
+      properties: { rules: group.rules }
+    });
+  });
+
+  return { rules: Array.from(rules.values()), ruleIds };
+};
+
+const physicalLocation = (uri, line) => ({
+  physicalLocation: {
+    artifactLocation: { uri, uriBaseId: "%SRCROOT%" },
+    ...(line ? { region: { startLine: line } } : {})
+  }
+});
+
+/**
+ * Render a `runChecks` result as a SARIF 2.1.0 log: one reporting rule per
+ * overweight rule (and per budget group), and one `error` result per failed
+ * or errored check. Locations point at the measured file (relative to `cwd`) and,
+ * when `configFile` is given, at the line in `configText` that declares the rule.
+ * Byte numbers are carried in each result's `properties`.
+ * @param {Object} result - The `runChecks` result.
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Base for artifact URIs. Defaults to `process.cwd()`.
+ * @param {string} [options.configFile] - Config path relative to `cwd`.
+ * @param {string|null} [options.configText] - The config file's contents.
+ * @returns {Object}
+ */
+export const renderSarif = (
+  { results, groups = [] },
+  { cwd = process.cwd(), configFile, configText = null } = {}
+) => {
+  const { rules, ruleIds } = buildRules(results, groups);
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+  const configLocation = (anchor) =>
+    configFile ? [physicalLocation(configFile, findConfigLine(configText, anchor))] : [];
+
+  const toSarifResult = (entry, { ruleId, target, locations, properties }) => ({
+    ruleId,
+    ruleIndex: ruleIndex.get(ruleId),
+    level: "error",
+    kind: "fail",
+    message: { text: describeFailure(entry, target) },
+    locations,
+    properties: {
+      tester: entry.tester,
+      sizeBytes: entry.size,
+      limitBytes: entry.maxSize,
+      diffBytes: entry.diff,
+      ...properties
+    }
+  });
+
+  const failing = (entry) => ["fail", "error"].includes(resultStatus(entry));
+  // Aggregate rows have no path of their own; locate them by the files they cover.
+  const artifactPaths = (entry) =>
+    entry.absolutePath ? [entry.absolutePath] : (entry.files ?? []).map((file) => file.absolutePath);
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: { driver: { name: "overweight", informationUri: INFORMATION_URI, rules } },
+        results: [
+          ...results.filter(failing).map((entry) =>
+            toSarifResult(entry, {
+              ruleId: ruleIds.get(ruleKey(entry)),
+              target: entry.filePath,
+              locations: [
+                ...artifactPaths(entry).map((filePath) => physicalLocation(toPosixPath(path.relative(cwd, filePath)))),
+                ...configLocation(ruleAnchor(entry))
+              ],
+              properties: { file: entry.filePath }
+            })
+          ),
+          ...groups.filter(failing).map((group) =>
+            toSarifResult(group, {
+              ruleId: groupRuleId(group.label),
+              target: `Group "${group.label}"`,
+              locations: configLocation(group.label),
+              properties: { rules: group.rules }
+            })
+          )
+        ]
+      }
+    ]
+  };
+};
+
+export const sarifReporter = (result, options = {}) => {
+  const cwd = options.cwd || process.cwd();
+  const location = options.configSource?.location;
+  const sarif = renderSarif(result, {
+    cwd,
+    configFile: location ? toPosixPath(path.relative(cwd, location)) : undefined,
+    configText: location ? readConfigText(location) : null
+  });
+  const filePath = resolveTargetPath(options.reportFile, cwd, DEFAULT_FILE);
+
+  writeReportFile(filePath, `${JSON.stringify(sarif, null, 2)}\n`);
+
+  if (!options.silent) {
+    console.error(`Saved Overweight SARIF report to ${filePath}`);
+  }
+};
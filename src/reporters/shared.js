@@ -0,0 +1,164 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { indexBaseline } from "../core/baseline.js";
+import { formatDiff, formatDiffPercent } from "../utils/size.js";
+
+export const resolveTargetPath = (target, cwd = process.cwd(), defaultFile) => {
+  if (!target) {
+    return path.join(cwd, defaultFile);
+  }
+
+  return path.isAbsolute(target) ? target : path.join(cwd, target);
+};
+
+export const writeReportFile = (filePath, content) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+};
+
+/**
+ * Write through a temporary sibling and rename it into place, so readers (e.g. a
+ * metrics scraper) never see a half-written file.
+ * @param {string} filePath - Absolute target path.
+ * @param {string} content
+ */
+export const writeReportFileAtomic = (filePath, content) => {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+
+  writeReportFile(tempPath, content);
+
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+};
+
+export const toPosixPath = (value) => value.split(path.sep).join("/");
+
+export const readConfigText = (location) => {
+  try {
+    return fs.readFileSync(location, "utf-8");
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * The value locating a result row's rule in the config file: the first entry of
+ * its `path`, since `pattern` joins every entry of an array `path`.
+ * @param {Object} entry - A `runChecks` result row.
+ * @returns {string}
+ */
+export const ruleAnchor = (entry) => entry.patterns?.[0] ?? entry.pattern;
+
+/**
+ * 1-based line of the first quoted occurrence of `value` in a config file's text,
+ * or undefined when it can't be found (e.g. globs built dynamically in a JS config).
+ * @param {string|null} text - The config file's contents.
+ * @param {string} value - A rule pattern or group label.
+ * @returns {number|undefined}
+ */
+export const findConfigLine = (text, value) => {
+  if (!text) {
+    return undefined;
+  }
+
+  const quoted = [JSON.stringify(value), `'${value}'`, `\`${value}\``];
+  const index = text.split(/\r?\n/).findIndex((line) => quoted.some((candidate) => line.includes(candidate)));
+
+  return index === -1 ? undefined : index + 1;
+};
+
+const XML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+
+export const escapeXml = (value) => `${value ?? ""}`.replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+/**
+ * Group result rows by the rule that produced them (configured label + pattern),
+ * keeping config order. Rows of a templated label stay under their rule.
+ * @param {Array} results - `runChecks` result rows.
+ * @returns {Array<{label: string, pattern: string, results: Array}>}
+ */
+export const groupResultsByRule = (results) => {
+  const rules = new Map();
+
+  for (const result of results) {
+    const label = result.ruleLabel ?? result.label;
+    const key = `${label}\u0000${result.pattern}`;
+
+    if (!rules.has(key)) {
+      rules.set(key, { label, pattern: result.pattern, results: [] });
+    }
+
+    rules.get(key).results.push(result);
+  }
+
+  return Array.from(rules.values());
+};
+
+/**
+ * One-line explanation of a failed, errored, or unmatched row or group, e.g.
+ * `dist/a.js (gzip) is 12 kB, +2 kB over its 10 kB limit`.
+ * @param {Object} entry - A failing result row or group.
+ * @param {string} target - What to call it (a file path or group name).
+ * @returns {string}
+ */
+export const describeFailure = (entry, target) => {
+  const detail = entry.error ?? entry.reason;
+
+  return detail
+    ? `${target} (${entry.testerLabel}): ${detail}`
+    : `${target} (${entry.testerLabel}) is ${entry.sizeFormatted}, ${entry.diffFormatted} over its ${entry.maxSizeFormatted} limit`;
+};
+
+// Rows from `runChecks` carry `status`; the fallback covers hand-built rows.
+export const resultStatus = (result) =>
+  result.status ?? (result.error ? "error" : result.skipped ? "skip" : result.passed ? "pass" : "fail");
+
+// Same markers as the GitHub Action summary table.
+export const STATUS_EMOJI = {
+  pass: "🟢",
+  warn: "⚠️",
+  fail: "🔺",
+  error: "💥",
+  skip: "⏭️"
+};
+
+/**
+ * Compare a result row with its entry in a baseline snapshot (`options.baseline`
+ * as handed to reporters by the CLI). Returns null when there is no baseline, no
+ * matching entry, or the entry recorded an unmatched rule.
+ * @param {Object} result - A `runChecks` result row.
+ * @param {Array|null} [baseline] - Parsed baseline entries.
+ * @returns {{previousBytes: number, previousSize: string, delta: number, deltaFormatted: string, deltaPercent: string|null, trend: string}|null}
+ */
+export const compareToBaseline = (result, baseline) => {
+  if (!Array.isArray(baseline) || typeof result.size !== "number") {
+    return null;
+  }
+
+  const [, previous] = indexBaseline(baseline).find({
+    file: result.filePath,
+    fileKey: result.fileKey,
+    tester: result.testerLabel
+  });
+
+  if (!previous || previous.missing) {
+    return null;
+  }
+
+  const previousBytes = previous.sizeBytes || 0;
+  const delta = result.size - previousBytes;
+
+  return {
+    previousBytes,
+    previousSize: previous.size,
+    delta,
+    deltaFormatted: formatDiff(delta),
+    deltaPercent: formatDiffPercent(delta, previousBytes),
+    trend: delta === 0 ? "➖" : delta > 0 ? "🔺" : "⬇"
+  };
+};
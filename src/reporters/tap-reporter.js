@@ -0,0 +1,82 @@
+import { resolveTargetPath, resultStatus, writeReportFile } from "./shared.js";
+
+// TAP reserves `#` for directives and `\` for escaping it.
+const escapeDescription = (value) => `${value}`.replace(/\\/g, "\\\\").replace(/#/g, "\\#");
+
+// JSON strings and numbers are valid YAML scalars; `~` is YAML's null.
+const yamlValue = (value) => (value === null || value === undefined ? "~" : JSON.stringify(value));
+
+const renderDiagnostics = (fields) =>
+  ["  ---", ...Object.entries(fields).map(([key, value]) => `  ${key}: ${yamlValue(value)}`), "  ..."];
+
+const renderTestPoint = (entry, index, description, fields) => {
+  const status = resultStatus(entry);
+  const ok = status === "fail" || status === "error" ? "not ok" : "ok";
+  const directive = status === "skip" ? ` # SKIP ${entry.reason}` : "";
+  const detail = entry.error ?? (status === "skip" ? undefined : entry.reason);
+  const message = detail ? { message: detail } : {};
+
+  return [
+    `${ok} ${index} - ${escapeDescription(description)}${directive}`,
+    ...renderDiagnostics({
+      ...fields,
+      tester: entry.testerLabel,
+      size: entry.size,
+      sizeFormatted: entry.sizeFormatted,
+      limit: entry.maxSize,
+      limitFormatted: entry.maxSizeFormatted,
+      diff: entry.diff,
+      diffFormatted: entry.diffFormatted,
+      ...message
+    })
+  ];
+};
+
+/**
+ * Render a `runChecks` result as TAP version 14: a plan, then one test point per
+ * result row and budget group, each followed by a YAML block with the size,
+ * limit, diff, and tester. Skipped rows (unmatched `onMissing: "skip"` rules) are
+ * reported as `# SKIP`.
+ * @param {Object} result - The `runChecks` result.
+ * @returns {string}
+ */
+export const renderTap = ({ results, groups = [] }) => {
+  const total = results.length + groups.length;
+
+  if (!total) {
+    return "TAP version 14\n1..0 # SKIP No files were evaluated\n";
+  }
+
+  const points = [
+    ...results.map((entry, index) =>
+      renderTestPoint(entry, index + 1, `${entry.label}: ${entry.filePath} (${entry.testerLabel})`, {
+        label: entry.label,
+        file: entry.filePath
+      })
+    ),
+    ...groups.map((entry, index) =>
+      renderTestPoint(entry, results.length + index + 1, `group ${entry.label} (${entry.testerLabel})`, {
+        group: entry.label,
+        rules: entry.rules.join(", ")
+      })
+    )
+  ];
+
+  return ["TAP version 14", `1..${total}`, ...points.flat(), ""].join("\n");
+};
+
+export const tapReporter = (result, options = {}) => {
+  const tap = renderTap(result);
+
+  if (!options.reportFile) {
+    console.log(tap.trimEnd());
+    return;
+  }
+
+  const filePath = resolveTargetPath(options.reportFile, options.cwd);
+  writeReportFile(filePath, tap);
+
+  if (!options.silent) {
+    console.error(`Saved Overweight TAP report to ${filePath}`);
+  }
+};
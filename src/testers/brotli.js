@@ -3,18 +3,28 @@ import { brotliCompress, constants } from "node:zlib";
 
 const brotliAsync = promisify(brotliCompress);
 
+const MODES = {
+  generic: constants.BROTLI_MODE_GENERIC,
+  text: constants.BROTLI_MODE_TEXT,
+  font: constants.BROTLI_MODE_FONT
+};
+
 export const brotliTester = {
   id: "brotli",
   label: "brotli",
-  measure: async (buffer) => {
-    const compressed = await brotliAsync(buffer, {
-      params: {
-        [constants.BROTLI_PARAM_MODE]: constants.BROTLI_MODE_TEXT,
-        [constants.BROTLI_PARAM_QUALITY]: 11
-      }
-    });
+  measure: async (buffer, { compressionOptions = {} } = {}) => {
+    const { level = 11, windowBits, mode = "text" } = compressionOptions;
+    const params = {
+      [constants.BROTLI_PARAM_MODE]: MODES[mode] ?? constants.BROTLI_MODE_TEXT,
+      [constants.BROTLI_PARAM_QUALITY]: level
+    };
+
+    if (windowBits !== undefined) {
+      params[constants.BROTLI_PARAM_LGWIN] = windowBits;
+    }
+
+    const compressed = await brotliAsync(buffer, { params });
 
     return { bytes: compressed.byteLength };
   }
 };
-
@@ -6,9 +6,9 @@ const gzipAsync = promisify(gzip);
 export const gzipTester = {
   id: "gzip",
   label: "gzip",
-  measure: async (buffer) => {
-    const compressed = await gzipAsync(buffer);
+  measure: async (buffer, { compressionOptions = {} } = {}) => {
+    const { level, windowBits, memLevel } = compressionOptions;
+    const compressed = await gzipAsync(buffer, { level, windowBits, memLevel });
     return { bytes: compressed.byteLength };
   }
 };
-
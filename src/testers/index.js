@@ -1,18 +1,24 @@
 import { brotliTester } from "./brotli.js";
 import { gzipTester } from "./gzip.js";
 import { noneTester } from "./none.js";
+import { zstdTester } from "./zstd.js";
 import { DEFAULT_TESTER_ID, createTester, normalizeTesterId } from "./shared.js";
 
-export { DEFAULT_TESTER_ID } from "./shared.js";
+export { DEFAULT_TESTER_ID, createTester } from "./shared.js";
 
 const builtinTesters = new Map(
-  [noneTester, gzipTester, brotliTester].map((tester) => [tester.id, createTester(tester)])
+  [noneTester, gzipTester, brotliTester, zstdTester].map((tester) => [tester.id, createTester(tester)])
 );
 
-export const createTesterRegistry = (customTesters) => {
+// Later sets win, so callers pass them from least to most specific.
+export const createTesterRegistry = (...customTesterSets) => {
   const registry = new Map(builtinTesters);
 
-  if (customTesters) {
+  for (const customTesters of customTesterSets) {
+    if (!customTesters) {
+      continue;
+    }
+
     const entries = customTesters instanceof Map ? customTesters.entries() : Object.entries(customTesters);
 
     for (const [, tester] of entries) {
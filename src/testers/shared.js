@@ -1,5 +1,5 @@
 export const DEFAULT_TESTER_ID = "gzip";
-export const NORMALIZED_TOKENS = new Set(["none", "gzip", "brotli"]);
+export const NORMALIZED_TOKENS = new Set(["none", "gzip", "brotli", "zstd"]);
 
 export const createTester = ({ id, label, measure }) => {
   if (!id || typeof measure !== "function") {
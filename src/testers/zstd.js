@@ -0,0 +1,24 @@
+import { promisify } from "node:util";
+import { constants, zstdCompress } from "node:zlib";
+
+const zstdAsync = promisify(zstdCompress);
+
+export const zstdTester = {
+  id: "zstd",
+  label: "zstd",
+  measure: async (buffer, { compressionOptions = {} } = {}) => {
+    const { level, windowBits } = compressionOptions;
+    const params = {};
+
+    if (level !== undefined) {
+      params[constants.ZSTD_c_compressionLevel] = level;
+    }
+
+    if (windowBits !== undefined) {
+      params[constants.ZSTD_c_windowLog] = windowBits;
+    }
+
+    const compressed = await zstdAsync(buffer, { params });
+    return { bytes: compressed.byteLength };
+  }
+};
@@ -281,6 +281,31 @@ describe("GitHub Action integration", () => {
     expect(octokitMock.rest.issues.updateComment.mock.calls[0][0].body).toContain("Size check passed");
   });
 
+  it("renders budget groups in the summary and PR comment", async () => {
+    mockRunResult.stats.hasFailures = true;
+    mockRunResult.groups = [
+      {
+        label: "critical path",
+        rules: ["bundle"],
+        testerLabel: "gzip",
+        sizeFormatted: "12 kB",
+        maxSizeFormatted: "11 kB",
+        diffFormatted: "+1 kB",
+        passed: false
+      }
+    ];
+    inputs = {
+      "github-token": "token",
+      "comment-on-pr": "true"
+    };
+
+    await runAction();
+
+    expect(summary.addHeading).toHaveBeenCalledWith("Budget groups", 3);
+    expect(summary.addTable).toHaveBeenCalledTimes(2);
+    expect(octokitMock.rest.issues.createComment.mock.calls[0][0].body).toContain("<td>critical path</td>");
+  });
+
   it("comments on first successful run when comment-on-pr-always is true", async () => {
     mockRunResult.stats.hasFailures = false;
     inputs = {
@@ -1,6 +1,13 @@
 import { describe, expect, it } from "vitest";
 
-import { buildSummaryRows, toTableData, renderHtmlTable } from "../../src/action/report.js";
+import {
+  buildSummaryRows,
+  toTableData,
+  renderHtmlTable,
+  buildGroupRows,
+  toGroupTableData,
+  renderGroupHtmlTable
+} from "../../src/action/report.js";
 import { mergeWithBaseline } from "../../src/action/baseline.js";
 
 // Limit (12 kB) deliberately differs from the baseline (10 kB) so the rendered Δ
@@ -36,16 +43,32 @@ describe("mergeWithBaseline delta", () => {
     expect(merged.baselineDiff).toBe("N/A");
     expect(merged.diffPercent).toBeNull();
   });
+
+  it("matches the baseline entry recorded for the same tester", () => {
+    const rows = buildSummaryRows([result(), result({ testerLabel: "brotli", size: 9_000, sizeFormatted: "9 kB" })]);
+    const merged = mergeWithBaseline(rows, [
+      ...baseline({ tester: "gzip" }),
+      ...baseline({ tester: "brotli", size: "9.5 kB", sizeBytes: 9_500 })
+    ]);
+    expect(merged.map((row) => row.baselineDiff)).toEqual(["+500 B", "-500 B"]);
+  });
+
+  it("matches content-hashed files by their fileKey", () => {
+    const rows = buildSummaryRows([result({ filePath: "dist/index.77be02.js", fileKey: "dist/index.[hash].js" })]);
+    const [merged] = mergeWithBaseline(rows, baseline({ file: "dist/index.3f9a1c.js", fileKey: "dist/index.[hash].js" }));
+    expect(merged.file).toBe("dist/index.77be02.js");
+    expect(merged.baselineDiff).toBe("+500 B");
+  });
 });
 
 describe("Δ cell rendering", () => {
   it("shows the baseline change and percentage in the table data", () => {
     const rows = mergeWithBaseline(buildSummaryRows([result()]), baseline());
-    expect(toTableData(rows)[1][5].data).toBe("+500 B (+5.0%)");
+    expect(toTableData(rows)[1][6].data).toBe("+500 B (+5.0%)");
   });
 
   it("shows N/A in the table data when there is no baseline", () => {
-    expect(toTableData(buildSummaryRows([result()]))[1][5].data).toBe("N/A");
+    expect(toTableData(buildSummaryRows([result()]))[1][6].data).toBe("N/A");
   });
 
   it("shows the baseline change and percentage in the HTML table", () => {
@@ -57,4 +80,53 @@ describe("Δ cell rendering", () => {
     const html = renderHtmlTable(buildSummaryRows([result()]));
     expect(html).toContain("<td>N/A</td>");
   });
+
+  it("shows each row's tester so a limits rule's rows can be told apart", () => {
+    const rows = buildSummaryRows([result(), result({ tester: "brotli", testerLabel: "brotli" })]);
+    expect(toTableData(rows).map((row) => row[3].data)).toEqual(["Tester", "gzip", "brotli"]);
+    expect(renderHtmlTable(rows)).toContain("<th>Tester</th>");
+    expect(renderHtmlTable(rows)).toContain("<td>brotli</td>");
+  });
+
+  it("marks rows past their warning threshold in the table data", () => {
+    const rows = buildSummaryRows([result({ status: "warn" })]);
+    expect(rows[0].status).toBe("warn");
+    expect(toTableData(rows)[1][0].data).toBe("⚠️");
+  });
+
+  it("marks skipped rules in the table data", () => {
+    const rows = buildSummaryRows([result({ size: null, passed: true, skipped: true, reason: "No files matched this pattern" })]);
+    expect(rows[0].status).toBe("skip");
+    expect(toTableData(rows)[1][0].data).toBe("⏭️");
+  });
+});
+
+describe("group tables", () => {
+  const group = {
+    label: "critical path",
+    rules: ["main", "vendor"],
+    testerLabel: "gzip",
+    sizeFormatted: "20 kB",
+    maxSizeFormatted: "18 kB",
+    diffFormatted: "+2 kB",
+    passed: false
+  };
+
+  it("renders group rows in the summary table data", () => {
+    const [, row] = toGroupTableData(buildGroupRows([group]));
+    expect(row.map((cell) => cell.data)).toEqual([
+      "🔺",
+      "critical path",
+      "main, vendor",
+      "gzip",
+      "20 kB",
+      "18 kB",
+      "+2 kB"
+    ]);
+  });
+
+  it("renders group rows as HTML and nothing when there are no groups", () => {
+    expect(renderGroupHtmlTable(buildGroupRows([group]))).toContain("<td>critical path</td><td>main, vendor</td>");
+    expect(renderGroupHtmlTable(buildGroupRows())).toBe("");
+  });
 });
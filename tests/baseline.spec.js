@@ -1,3 +1,7 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
 import { describe, it, expect } from "vitest";
 
 import {
@@ -7,8 +11,10 @@ import {
   buildBaselineSnapshot,
   reconcileBaseline,
   serializeBaselineSnapshot,
+  toBaselineKey,
   DEFAULT_BASELINE_THRESHOLD
 } from "../src/core/baseline.js";
+import { runChecks } from "../src/core/run-checks.js";
 
 const row = (overrides = {}) => ({
   label: "core",
@@ -123,12 +129,34 @@ describe("toBaselineEntries", () => {
     expect(toBaselineEntries(result).map((e) => e.file)).toEqual(["a.js"]);
   });
 
+  it("records unmatched warn/skip rules as missing entries keyed by their pattern", () => {
+    const result = {
+      results: [
+        { label: "web", filePath: "web-*.js", testerLabel: "gzip", size: null, sizeFormatted: "N/A", maxSize: 200, maxSizeFormatted: "200 B", status: "skip", passed: true, missing: true },
+        { label: "native", filePath: "native-*.js", testerLabel: "gzip", size: null, maxSize: 200, status: "error", passed: false, missing: true }
+      ]
+    };
+    expect(toBaselineEntries(result)).toEqual([
+      { label: "web", file: "web-*.js", tester: "gzip", size: "N/A", sizeBytes: 0, limit: "200 B", limitBytes: 200, missing: "skip" }
+    ]);
+  });
+
   it("tolerates a missing results array", () => {
     expect(toBaselineEntries(undefined)).toEqual([]);
     expect(toBaselineEntries({})).toEqual([]);
   });
 });
 
+describe("toBaselineKey", () => {
+  it("combines file and tester, falling back to file alone", () => {
+    expect(toBaselineKey(row())).toBe("dist/core.js::gzip");
+    expect(toBaselineKey({ file: "dist/core.js" })).toBe("dist/core.js");
+    expect(toBaselineKey(row({ file: "dist/main.3f9a1c.js", fileKey: "dist/main.[hash].js" }))).toBe(
+      "dist/main.[hash].js::gzip"
+    );
+  });
+});
+
 describe("buildBaselineSnapshot", () => {
   it("projects to the entry shape and sorts by file", () => {
     const snapshot = buildBaselineSnapshot([
@@ -138,6 +166,11 @@ describe("buildBaselineSnapshot", () => {
     expect(snapshot.map((e) => e.file)).toEqual(["a.js", "b.js"]);
     expect(snapshot[0]).not.toHaveProperty("extra");
   });
+
+  it("orders entries of the same file by tester", () => {
+    const snapshot = buildBaselineSnapshot([row({ tester: "gzip" }), row({ tester: "brotli" })]);
+    expect(snapshot.map((e) => e.tester)).toEqual(["brotli", "gzip"]);
+  });
 });
 
 describe("reconcileBaseline", () => {
@@ -214,11 +247,92 @@ describe("reconcileBaseline", () => {
     expect(reconcileBaseline([row({ label: "renamed" })], [row({ label: "core" })], 0.5).needsUpdate).toBe(true);
   });
 
+  it("keys entries by file and tester", () => {
+    const next = [row({ tester: "gzip", sizeBytes: 10000 }), row({ tester: "brotli", sizeBytes: 9000 })];
+    const previous = [row({ tester: "brotli", sizeBytes: 9000 }), row({ tester: "gzip", sizeBytes: 10000 })];
+    const result = reconcileBaseline(next, previous, 0);
+    expect(result.needsUpdate).toBe(false);
+    expect(result.rows.map((r) => [r.tester, r.sizeBytes])).toEqual([
+      ["gzip", 10000],
+      ["brotli", 9000]
+    ]);
+  });
+
   it("treats a missing previous sizeBytes as zero", () => {
     const result = reconcileBaseline([row({ sizeBytes: 100 })], [row({ sizeBytes: undefined })], "50 B");
     expect(result.needsUpdate).toBe(true);
   });
 
+  it("matches content-hashed files by fileKey and records the current name", () => {
+    const previous = [row({ file: "dist/main.3f9a1c.js", fileKey: "dist/main.[hash].js", sizeBytes: 10000 })];
+    const next = [row({ file: "dist/main.77be02.js", fileKey: "dist/main.[hash].js", sizeBytes: 10040 })];
+
+    const result = reconcileBaseline(next, previous, 0.01);
+    expect(result.needsUpdate).toBe(false);
+    expect(result.rows).toEqual([{ ...previous[0], file: "dist/main.77be02.js" }]);
+    expect(reconcileBaseline(next, previous, 0).rows[0].sizeBytes).toBe(10040);
+  });
+
+  it("keeps a rule's recorded files when its glob now matches nothing", () => {
+    const missing = row({ file: "dist/*.js", size: "N/A", sizeBytes: 0, missing: "skip" });
+    const previous = [row({ file: "dist/a.js" }), row({ file: "dist/b.js" })];
+    const result = reconcileBaseline([missing], previous, 0);
+    expect(result.needsUpdate).toBe(false);
+    expect(result.rows).toEqual(previous);
+  });
+
+  it("keeps the recorded files of a skipped none rule, whose tester is labelled raw", async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "overweight-baseline-"));
+    const config = {
+      root: tempDir,
+      files: [{ path: "dist/*.js", maxSize: "1 kB", compression: "none", onMissing: "skip" }]
+    };
+
+    try {
+      await fs.mkdir(path.join(tempDir, "dist"));
+      await fs.writeFile(path.join(tempDir, "dist", "a.js"), "x".repeat(100));
+      const previous = toBaselineEntries(await runChecks(config));
+
+      await fs.rm(path.join(tempDir, "dist", "a.js"));
+      const next = toBaselineEntries(await runChecks(config));
+
+      expect(next[0]).toMatchObject({ tester: "raw", missing: "skip" });
+      expect(reconcileBaseline(next, previous, 0)).toEqual({ needsUpdate: false, rows: previous });
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it("keeps the recorded files of a templated rule, matched on its configured label", () => {
+    const missing = row({
+      label: "locale [name]",
+      file: "dist/locales/*.js",
+      size: "N/A",
+      sizeBytes: 0,
+      missing: "skip"
+    });
+    const previous = [
+      row({ label: "locale de", ruleLabel: "locale [name]", file: "dist/locales/de.js" }),
+      row({ label: "locale fr", ruleLabel: "locale [name]", file: "dist/locales/fr.js" })
+    ];
+    const result = reconcileBaseline([missing], previous, 0);
+    expect(result).toEqual({ needsUpdate: false, rows: previous });
+    expect(buildBaselineSnapshot(previous)[0].ruleLabel).toBe("locale [name]");
+    expect(
+      toBaselineEntries({
+        results: [{ label: "locale de", ruleLabel: "locale [name]", filePath: "dist/locales/de.js", size: 1 }]
+      })[0].ruleLabel
+    ).toBe("locale [name]");
+  });
+
+  it("records a missing entry when the rule has nothing to keep, and flags its removal", () => {
+    const missing = row({ file: "dist/*.js", size: "N/A", sizeBytes: 0, missing: "warn" });
+    expect(reconcileBaseline([missing], [], 0)).toEqual({ needsUpdate: true, rows: [missing] });
+    expect(reconcileBaseline([missing], [missing], 0).needsUpdate).toBe(false);
+    expect(reconcileBaseline([row({ file: "dist/*.js" })], [missing], 0.5).needsUpdate).toBe(true);
+    expect(JSON.parse(serializeBaselineSnapshot([missing]))[0].missing).toBe("warn");
+  });
+
   it("serializes reconciled rows into a sorted snapshot", () => {
     const result = reconcileBaseline([row({ file: "b.js" }), row({ file: "a.js" })], null);
     const parsed = JSON.parse(serializeBaselineSnapshot(result.rows));
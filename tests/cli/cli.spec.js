@@ -0,0 +1,52 @@
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+
+const run = promisify(execFile);
+const cliPath = fileURLToPath(new URL("../../src/cli.js", import.meta.url));
+
+describe("overweight CLI", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "overweight-cli-"));
+    await fs.writeFile(path.join(tempDir, "app.js"), "console.log('hello');");
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const overweight = (...reporters) =>
+    run(process.execPath, [
+      cliPath,
+      "--root",
+      tempDir,
+      "--file",
+      "app.js",
+      "--max-size",
+      "1 kB",
+      ...reporters.flatMap((reporter) => ["--reporter", reporter])
+    ]);
+
+  it("keeps stdout parseable when a file-writing reporter runs alongside json", async () => {
+    const { stdout, stderr } = await overweight("json", "json-file=out/report.json");
+
+    expect(JSON.parse(stdout).results[0].filePath).toBe("app.js");
+    expect(stderr).toContain("Saved Overweight report to");
+    expect(JSON.parse(await fs.readFile(path.join(tempDir, "out", "report.json"), "utf-8")).stats.files).toBe(1);
+  });
+
+  it("keeps TAP output on stdout free of status lines", async () => {
+    const { stdout, stderr } = await overweight("tap", "junit=out/report.xml");
+
+    expect(stdout.split("\n").slice(0, 3)).toEqual(["TAP version 14", "1..1", "ok 1 - app.js: app.js (gzip)"]);
+    expect(stdout).not.toContain("Saved");
+    expect(stderr).toContain("Saved Overweight JUnit report to");
+  });
+});
@@ -0,0 +1,66 @@
+import path from "node:path";
+
+import { describe, expect, it } from "vitest";
+
+import { isQuietRun, parseReporterFlag, resolveReporterSpecs } from "../../src/cli/reporters.js";
+
+const root = path.resolve("/project");
+
+describe("parseReporterFlag", () => {
+  it("reads a bare reporter name", () => {
+    expect(parseReporterFlag("console")).toEqual({ name: "console", options: {} });
+  });
+
+  it("reads a trailing =<path> as the reporter's report file", () => {
+    expect(parseReporterFlag("json-file=reports/size.json")).toEqual({
+      name: "json-file",
+      options: { reportFile: "reports/size.json" }
+    });
+  });
+});
+
+describe("resolveReporterSpecs", () => {
+  const config = {
+    source: { type: "file", location: path.join(root, "configs", "overweight.json") },
+    reporters: [{ name: "./tools/reporter.js", options: { verbose: true } }]
+  };
+
+  it("fans out repeated --reporter flags, each with its own options", () => {
+    const specs = resolveReporterSpecs(
+      { reporter: ["console", "json-file=out/a.json", "./tools/r.js"] },
+      config,
+      root
+    );
+
+    expect(specs).toEqual([
+      { name: "console", options: {}, baseDir: root },
+      { name: "json-file", options: { reportFile: "out/a.json" }, baseDir: root },
+      { name: "./tools/r.js", options: {}, baseDir: root }
+    ]);
+  });
+
+  it("adds json for --json alongside other flags", () => {
+    const specs = resolveReporterSpecs({ json: true, reporter: "console" }, config, root);
+    expect(specs.map((spec) => spec.name)).toEqual(["json", "console"]);
+  });
+
+  it("falls back to config reporters resolved from the config directory", () => {
+    expect(resolveReporterSpecs({}, config, root)).toEqual([
+      { name: "./tools/reporter.js", options: { verbose: true }, baseDir: path.join(root, "configs") }
+    ]);
+  });
+
+  it("defaults to the console reporter", () => {
+    expect(resolveReporterSpecs({}, { source: { type: "inline" }, reporters: [] }, root)).toEqual([
+      { name: "console", options: {}, baseDir: root }
+    ]);
+  });
+});
+
+describe("isQuietRun", () => {
+  it("is quiet only when every reporter is machine-readable", () => {
+    expect(isQuietRun([{ name: "json" }, { name: "json-file" }, { name: "markdown" }, { name: "silent" }])).toBe(true);
+    expect(isQuietRun([{ name: "json-file" }, { name: "console" }])).toBe(false);
+    expect(isQuietRun([{ name: "./tools/reporter.js" }])).toBe(false);
+  });
+});
@@ -61,6 +61,92 @@ describe("loadConfig", () => {
     expect(config.source).toEqual({ type: "package", location: path.join(tmpDir, "package.json") });
   });
 
+  it("loads an ESM config module with a function default export", async () => {
+    const configPath = path.join(tmpDir, "overweight.config.mjs");
+    await fs.writeFile(
+      configPath,
+      `export default async () => ({
+        testers: [{ id: "half", measure: (buffer) => ({ bytes: buffer.byteLength / 2 }) }],
+        files: ["app", "vendor"].map((name) => ({ path: \`./dist/\${name}.js\`, maxSize: "10 kB", compression: "half" }))
+      });`
+    );
+
+    const config = await loadConfig({ cwd: tmpDir });
+    expect(config.source.location).toBe(configPath);
+    expect(config.files.map((file) => file.pattern)).toEqual(["./dist/app.js", "./dist/vendor.js"]);
+    expect(config.testers[0]).toMatchObject({ id: "half", label: "half" });
+  });
+
+  it("loads a CommonJS config module", async () => {
+    const configPath = path.join(tmpDir, "overweight.config.cjs");
+    await fs.writeFile(configPath, `module.exports = ${JSON.stringify(sampleRule())};`);
+
+    const config = await loadConfig({ cwd: tmpDir });
+    expect(config.source.location).toBe(configPath);
+  });
+
+  it("loads a TypeScript config module", async () => {
+    const configPath = path.join(tmpDir, "overweight.config.ts");
+    await fs.writeFile(
+      configPath,
+      `const maxSize: string = "10 kB";\nexport default { files: [{ path: "./dist/app.js", maxSize }] };\n`
+    );
+
+    const config = await loadConfig({ cwd: tmpDir });
+    expect(config.files[0].maxBytes).toBe(10_000);
+  });
+
+  it("prefers JSON configs over config modules", async () => {
+    await writeJson(path.join(tmpDir, "overweight.config.json"), sampleRule());
+    await fs.writeFile(path.join(tmpDir, "overweight.config.mjs"), "export default [];");
+
+    const config = await loadConfig({ cwd: tmpDir });
+    expect(config.source.location).toBe(path.join(tmpDir, "overweight.config.json"));
+  });
+
+  it("loads tester modules relative to the config file", async () => {
+    const configDir = path.join(tmpDir, "configs");
+    await fs.mkdir(path.join(configDir, "tools"), { recursive: true });
+    await fs.writeFile(
+      path.join(configDir, "tools", "half.mjs"),
+      `export default { id: "half", label: "Half", measure: (buffer) => ({ bytes: buffer.byteLength / 2 }) };`
+    );
+    await writeJson(path.join(configDir, "sizes.json"), {
+      testers: ["./tools/half.mjs"],
+      files: [{ path: "./dist/app.js", maxSize: "10 kB", compression: "half" }]
+    });
+
+    const config = await loadConfig({ cwd: tmpDir, configPath: "configs/sizes.json" });
+    expect(config.testers).toHaveLength(1);
+    expect(config.testers[0]).toMatchObject({ id: "half", label: "Half" });
+    expect(config.testers[0].measure(new Uint8Array(10))).toEqual({ bytes: 5 });
+  });
+
+  it("reports tester modules that cannot be loaded", async () => {
+    await writeJson(path.join(tmpDir, "overweight.json"), { ...sampleRule(), testers: ["./missing-tester.js"] });
+
+    await expect(loadConfig({ cwd: tmpDir })).rejects.toThrow(/Failed to load tester module "\.\/missing-tester\.js"/);
+  });
+
+  it("rejects tester modules that do not export a tester definition", async () => {
+    await fs.writeFile(path.join(tmpDir, "not-a-tester.mjs"), "export default { id: 'nope' };");
+    await writeJson(path.join(tmpDir, "overweight.json"), { ...sampleRule(), testers: ["./not-a-tester.mjs"] });
+
+    await expect(loadConfig({ cwd: tmpDir })).rejects.toThrow(/measure function/);
+  });
+
+  it("normalizes reporter entries", async () => {
+    const config = await loadConfig({
+      cwd: tmpDir,
+      inlineConfig: { ...sampleRule(), reporters: ["console", { name: "./tools/reporter.js", options: { verbose: true } }] }
+    });
+
+    expect(config.reporters).toEqual([
+      { name: "console", options: {} },
+      { name: "./tools/reporter.js", options: { verbose: true } }
+    ]);
+  });
+
   it("respects explicit --config paths", async () => {
     const customPath = path.join(tmpDir, "configs", "sizes.json");
     await fs.mkdir(path.dirname(customPath), { recursive: true });
@@ -74,6 +160,262 @@ describe("loadConfig", () => {
     await expect(loadConfig({ cwd: tmpDir })).rejects.toThrow(/No overweight configuration found/);
   });
 
+  it("merges config-level compressionOptions under rule-level ones", async () => {
+    const config = await loadConfig({
+      cwd: tmpDir,
+      inlineConfig: {
+        compressionOptions: { level: 6, windowBits: 14 },
+        files: [
+          { path: "./dist/app.js", maxSize: "10 kB", compressionOptions: { level: 9 } },
+          { path: "./dist/other.js", maxSize: "10 kB" }
+        ]
+      }
+    });
+
+    expect(config.files[0].compressionOptions).toEqual({ level: 9, windowBits: 14 });
+    expect(config.files[1].compressionOptions).toEqual({ level: 6, windowBits: 14 });
+  });
+
+  it("resolves tester-keyed compressionOptions onto each limit", async () => {
+    const config = await loadConfig({
+      cwd: tmpDir,
+      inlineConfig: {
+        compressionOptions: { level: 9, brotli: { level: 11, mode: "text" } },
+        files: [
+          {
+            path: "./dist/app.js",
+            limits: { gzip: "40 kB", brotli: "34 kB" },
+            compressionOptions: { gzip: { level: 6 }, brotli: { level: 5 } }
+          }
+        ]
+      }
+    });
+
+    const [rule] = config.files;
+    expect(rule.limits.map((limit) => [limit.compression, limit.compressionOptions])).toEqual([
+      ["gzip", { level: 6 }],
+      ["brotli", { level: 5, mode: "text" }]
+    ]);
+    expect(rule.compressionOptions).toEqual({ level: 6 });
+    await expect(
+      loadConfig({
+        cwd: tmpDir,
+        inlineConfig: { files: [{ path: "./dist/app.js", maxSize: 1, compressionOptions: { brotli: { mode: "x" } } }] }
+      })
+    ).rejects.toThrow();
+  });
+
+  it("rejects options outside a built-in tester's range unless a config tester replaces it", async () => {
+    const load = (extra) =>
+      loadConfig({
+        cwd: tmpDir,
+        inlineConfig: {
+          compressionOptions: { level: 11 },
+          files: [{ path: "./dist/app.js", limits: { brotli: "10 kB", gzip: "12 kB" } }],
+          ...extra
+        }
+      });
+
+    await expect(load()).rejects.toThrow(
+      'compressionOptions.level for "./dist/app.js" must be between -1 and 9 for gzip (got 11)'
+    );
+    await expect(
+      load({ testers: [{ id: "gzip", measure: (buffer) => ({ bytes: buffer.byteLength }) }] })
+    ).resolves.toBeDefined();
+  });
+
+  it("rejects an unknown brotli mode", async () => {
+    const inline = sampleRule();
+    inline.files[0].compressionOptions = { mode: "binary" };
+
+    await expect(loadConfig({ cwd: tmpDir, inlineConfig: inline })).rejects.toThrow();
+  });
+
+  it("normalizes a limits map into one limit per tester", async () => {
+    const config = await loadConfig({
+      cwd: tmpDir,
+      inlineConfig: { files: [{ path: "./dist/app.js", limits: { GZIP: "40 kB", brotli: 34_000 } }] }
+    });
+
+    expect(config.files[0].limits.map(({ compression, maxBytes }) => [compression, maxBytes])).toEqual([
+      ["gzip", 40_000],
+      ["brotli", 34_000]
+    ]);
+    expect(config.files[0].maxBytes).toBe(40_000);
+  });
+
+  it("rejects rules with neither maxSize nor limits, or with both", async () => {
+    const load = (file) => loadConfig({ cwd: tmpDir, inlineConfig: { files: [file] } });
+
+    await expect(load({ path: "./dist/app.js" })).rejects.toThrow(/maxSize or a non-empty limits/);
+    await expect(load({ path: "./dist/app.js", limits: {} })).rejects.toThrow(/maxSize or a non-empty limits/);
+    await expect(load({ path: "./dist/app.js", maxSize: "1 kB", limits: { gzip: "1 kB" } })).rejects.toThrow(
+      /cannot also set maxSize/
+    );
+  });
+
+  it("normalizes groups and rejects unknown rule labels", async () => {
+    const inline = {
+      files: [{ path: "./dist/app.js", maxSize: "10 kB", label: "app" }],
+      groups: [{ label: "critical", rules: ["app"], maxSize: "12 kB", compression: "Brotli" }]
+    };
+
+    const config = await loadConfig({ cwd: tmpDir, inlineConfig: inline });
+    expect(config.groups[0]).toMatchObject({ label: "critical", rules: ["app"], compression: "brotli", maxBytes: 12_000 });
+
+    inline.groups[0].rules.push("vendor");
+    await expect(loadConfig({ cwd: tmpDir, inlineConfig: inline })).rejects.toThrow(
+      /Group "critical" references unknown rule "vendor"/
+    );
+  });
+
+  it("resolves warnAt per limit, inheriting the config-level default", async () => {
+    const config = await loadConfig({
+      cwd: tmpDir,
+      inlineConfig: {
+        warnAt: "90%",
+        files: [
+          { path: "./dist/app.js", limits: { gzip: "40 kB", brotli: "30 kB" } },
+          { path: "./dist/vendor.js", maxSize: "80 kB", warnAt: "75 kB" }
+        ],
+        groups: [{ label: "all", rules: ["./dist/app.js"], maxSize: 1_000, warnAt: 990 }]
+      }
+    });
+
+    expect(config.files[0].limits.map((limit) => limit.warnBytes)).toEqual([36_000, 27_000]);
+    expect(config.files[0].warnBytes).toBe(36_000);
+    expect(config.files[1].warnBytes).toBe(75_000);
+    expect(config.groups[0].warnBytes).toBe(990);
+  });
+
+  it("rejects an absolute warnAt at or above the limit", async () => {
+    const load = (file) => loadConfig({ cwd: tmpDir, inlineConfig: { warnAt: "1 kB", files: [file] } });
+
+    await expect(load({ path: "./dist/app.js", maxSize: "1 kB" })).rejects.toThrow(
+      /warnAt for ".\/dist\/app.js" must be below its maxSize/
+    );
+    await expect(load({ path: "./dist/app.js", limits: { none: "10 kB", brotli: "900 B" } })).rejects.toThrow(
+      /must be below its maxSize/
+    );
+    expect((await load({ path: "./dist/app.js", maxSize: "2 kB" })).files[0].warnBytes).toBe(1_000);
+  });
+
+  it("rejects warnAt percentages outside (0, 100]", async () => {
+    const load = (warnAt) =>
+      loadConfig({ cwd: tmpDir, inlineConfig: { files: [{ path: "./dist/app.js", maxSize: "1 kB", warnAt }] } });
+
+    await expect(load("0%")).rejects.toThrow(/warnAt for ".\/dist\/app.js" must be a percentage/);
+    await expect(load("120%")).rejects.toThrow(/must be a percentage between 0 and 100/);
+    expect((await load("100%")).files[0].warnBytes).toBe(1_000);
+  });
+
+  it("parses minSize and applies the config-level failOnEmpty default", async () => {
+    const config = await loadConfig({
+      cwd: tmpDir,
+      inlineConfig: {
+        failOnEmpty: true,
+        files: [
+          { path: "./dist/app.js", maxSize: "40 kB", minSize: "2 kB" },
+          { path: "./dist/vendor.js", maxSize: "80 kB", failOnEmpty: false }
+        ]
+      }
+    });
+
+    expect(config.files.map(({ minBytes, failOnEmpty }) => ({ minBytes, failOnEmpty }))).toEqual([
+      { minBytes: 2_000, failOnEmpty: true },
+      { minBytes: null, failOnEmpty: false }
+    ]);
+  });
+
+  it("checks minSize against the uncompressed limit only", async () => {
+    const load = (limits) =>
+      loadConfig({ cwd: tmpDir, inlineConfig: { files: [{ path: "./dist/app.js", limits, minSize: "40 kB" }] } });
+
+    expect((await load({ none: "150 kB", brotli: "34 kB" })).files[0].minBytes).toBe(40_000);
+    await expect(load({ none: "30 kB", gzip: "10 kB" })).rejects.toThrow(
+      /minSize for ".\/dist\/app.js" must not exceed its uncompressed maxSize/
+    );
+  });
+
+  it("resolves onMissing from the rule and the config default", async () => {
+    const config = await loadConfig({
+      cwd: tmpDir,
+      inlineConfig: {
+        onMissing: "warn",
+        files: [
+          { path: "./dist/app.js", maxSize: "1 kB" },
+          { path: "./dist/legacy.js", maxSize: "1 kB", onMissing: "skip" },
+          { path: "./dist/vendor.js", maxSize: "1 kB", onMissing: "error" }
+        ]
+      }
+    });
+
+    expect(config.files.map(({ onMissing }) => onMissing)).toEqual(["warn", "skip", "error"]);
+    await expect(
+      loadConfig({ cwd: tmpDir, inlineConfig: { files: [{ path: "./dist/app.js", maxSize: "1 kB", onMissing: "ignore" }] } })
+    ).rejects.toThrow();
+  });
+
+  it("merges config and rule ignores with negated path entries", async () => {
+    const config = await loadConfig({
+      cwd: tmpDir,
+      inlineConfig: {
+        ignore: ["**/.cache/**"],
+        respectGitignore: true,
+        files: [
+          { path: ["./dist/**/*.js", "!./dist/**/*.test.js"], maxSize: "40 kB", ignore: ["./dist/fixtures/**"] },
+          { path: "./dist/app.css", maxSize: "10 kB", respectGitignore: false }
+        ]
+      }
+    });
+
+    expect(config.files[0]).toMatchObject({
+      pattern: "./dist/**/*.js",
+      patterns: ["./dist/**/*.js"],
+      label: "./dist/**/*.js",
+      ignore: ["**/.cache/**", "./dist/fixtures/**", "./dist/**/*.test.js"],
+      respectGitignore: true
+    });
+    expect(config.files[1]).toMatchObject({ ignore: ["**/.cache/**"], respectGitignore: false });
+  });
+
+  it("rejects a path made only of negated patterns", async () => {
+    await expect(
+      loadConfig({ cwd: tmpDir, inlineConfig: { files: [{ path: ["!./dist/*.map"], maxSize: "1 kB" }] } })
+    ).rejects.toThrow(/at least one path or glob pattern that is not negated/);
+  });
+
+  it("inherits hashPattern from the config and rejects invalid expressions", async () => {
+    const load = (hashPattern) =>
+      loadConfig({ cwd: tmpDir, inlineConfig: { hashPattern, files: [{ path: "./dist/*.js", maxSize: "1 kB" }] } });
+
+    expect((await load("[0-9a-f]{8}")).files[0].hashPattern).toBe("[0-9a-f]{8}");
+    await expect(load("[0-9")).rejects.toThrow(/hashPattern for ".\/dist\/\*.js" is not a valid regular expression/);
+  });
+
+  it("rejects paths that repeat a capture group name", async () => {
+    await expect(
+      loadConfig({
+        cwd: tmpDir,
+        inlineConfig: { files: [{ path: "./dist/(?<name>*)/(?<name>*).js", label: "[name]", maxSize: "1 kB" }] }
+      })
+    ).rejects.toThrow(/Capture groups in ".\/dist\/\(\?<name>\*\)\/\(\?<name>\*\).js" are invalid/);
+  });
+
+  it("rejects per-file label placeholders on aggregate rules", async () => {
+    const load = (label) =>
+      loadConfig({
+        cwd: tmpDir,
+        inlineConfig: { files: [{ path: "./dist/(?<chunk>*).js", label, maxSize: "1 kB", aggregate: "sum" }] }
+      });
+
+    await expect(load("[name] agg")).rejects.toThrow(
+      'label for "./dist/(?<chunk>*).js" uses [name], which an aggregate rule cannot resolve per file'
+    );
+    await expect(load("chunks [chunk]")).rejects.toThrow(/uses \[chunk\]/);
+    expect((await load("chunks [beta]")).files[0].label).toBe("chunks [beta]");
+  });
+
   it("prefers inline configuration when provided", async () => {
     const inline = sampleRule();
     const config = await loadConfig({ cwd: tmpDir, inlineConfig: inline });
@@ -4,11 +4,25 @@ import path from "node:path";
 
 import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
 
+import { badgeReporter, buildBadges, renderBadge } from "../src/reporters/badge-reporter.js";
 import { consoleReporter } from "../src/reporters/console-reporter.js";
+import { csvReporter, renderDelimited, tsvReporter } from "../src/reporters/delimited-reporter.js";
+import { githubReporter, renderAnnotations } from "../src/reporters/github-reporter.js";
+import {
+  gitlabCodeQualityReporter,
+  renderCodeQuality,
+  severityFor
+} from "../src/reporters/gitlab-codequality-reporter.js";
+import { htmlReporter, layoutTreemap, renderHtml } from "../src/reporters/html-reporter.js";
 import { jsonFileReporter } from "../src/reporters/json-file-reporter.js";
 import { jsonReporter } from "../src/reporters/json-reporter.js";
+import { junitReporter, renderJunit } from "../src/reporters/junit-reporter.js";
+import { markdownReporter, renderMarkdown } from "../src/reporters/markdown-reporter.js";
+import { openMetricsReporter, renderOpenMetrics } from "../src/reporters/openmetrics-reporter.js";
+import { renderSarif, sarifReporter } from "../src/reporters/sarif-reporter.js";
 import { silentReporter } from "../src/reporters/silent-reporter.js";
-import { getReporter } from "../src/reporters/index.js";
+import { renderTap, tapReporter } from "../src/reporters/tap-reporter.js";
+import { getReporter, loadReporter } from "../src/reporters/index.js";
 
 const passingResult = {
   results: [
@@ -90,6 +104,38 @@ describe("reporters", () => {
     );
   });
 
+  it("consoleReporter prints a groups table and counts failing groups", () => {
+    const group = {
+      label: "critical path",
+      rules: ["main", "vendor"],
+      testerLabel: "gzip",
+      sizeFormatted: "20 kB",
+      maxSizeFormatted: "18 kB",
+      diffFormatted: "+2 kB",
+      passed: false
+    };
+
+    consoleReporter({
+      ...passingResult,
+      groups: [group],
+      stats: { hasFailures: true, failures: [], groupFailures: [group] }
+    });
+
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining("main, vendor"));
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining("1 group(s) exceeded their budget"));
+  });
+
+  it("consoleReporter shows WARN rows and counts warnings", () => {
+    consoleReporter({
+      results: [{ ...passingResult.results[0], status: "warn" }],
+      stats: { hasFailures: false, failures: [], warnings: [{}] }
+    });
+
+    const output = logSpy.mock.calls.map(([line]) => line).join("\n");
+    expect(output).toContain("WARN");
+    expect(output).toContain("1 file(s) or group(s) reached their warning threshold.");
+  });
+
   it("jsonReporter stringifies the payload", () => {
     jsonReporter(passingResult);
 
@@ -111,15 +157,837 @@ describe("reporters", () => {
     expect(JSON.parse(contents).stats).toEqual(passingResult.stats);
   });
 
+  it("renderMarkdown renders a table with totals, trend, groups, and errors", () => {
+    const markdown = renderMarkdown(
+      {
+        results: [
+          { ...passingResult.results[0], size: 10_000, maxSize: 12_000 },
+          {
+            label: "secondary | extra",
+            filePath: "dist/missing.js",
+            testerLabel: "gzip",
+            sizeFormatted: "N/A",
+            maxSizeFormatted: "1 kB",
+            diffFormatted: "N/A",
+            size: null,
+            maxSize: 1_000,
+            passed: false,
+            error: "No files matched this pattern"
+          }
+        ],
+        groups: [
+          {
+            label: "critical",
+            rules: ["main"],
+            testerLabel: "gzip",
+            sizeFormatted: "10 kB",
+            maxSizeFormatted: "11 kB",
+            diffFormatted: "-1 kB",
+            passed: true
+          }
+        ],
+        stats: { hasFailures: true }
+      },
+      { baseline: [{ file: "dist/main.js", tester: "gzip", size: "9.5 kB", sizeBytes: 9_500 }] }
+    );
+
+    expect(markdown).toContain("| Status | Label | File | Tester | Size | Limit | Δ | Trend |");
+    expect(markdown).toContain("| 🟢 | main | dist/main.js | gzip | 10 kB | 12 kB | -2 kB | 🔺 +500 B (+5.3%) |");
+    expect(markdown).toContain("| 🔺 | **Total** | 2 result(s) | gzip | 10 kB | 12 kB | -2 kB |  |");
+    expect(markdown).toContain("secondary \\| extra");
+    expect(markdown).toContain("| 🟢 | critical | main | gzip | 10 kB | 11 kB | -1 kB |");
+    expect(markdown).toMatch(/<details>\n<summary>💥 1 error\(s\)<\/summary>/);
+    expect(markdown).toContain("`dist/missing.js` (gzip): No files matched this pattern");
+  });
+
+  it("renderMarkdown totals each tester separately and flags warnings", () => {
+    const row = (overrides) => ({
+      label: "main",
+      filePath: "dist/main.js",
+      sizeFormatted: "",
+      maxSizeFormatted: "",
+      diffFormatted: "",
+      passed: true,
+      ...overrides
+    });
+    const markdown = renderMarkdown({
+      results: [
+        row({ testerLabel: "gzip", size: 10_000, maxSize: 12_000, status: "warn" }),
+        row({ filePath: "dist/vendor.js", testerLabel: "gzip", size: 5_000, maxSize: 6_000 }),
+        row({ testerLabel: "brotli", size: 8_000, maxSize: 10_000 })
+      ],
+      stats: { hasFailures: false, hasWarnings: true }
+    });
+
+    expect(markdown).toContain("| ⚠️ | **Total** | 2 result(s) | gzip | 15 kB | 18 kB | -3 kB |  |");
+    expect(markdown).toContain("| 🟢 | **Total** | 1 result(s) | brotli | 8 kB | 10 kB | -2 kB |  |");
+  });
+
+  it("markdownReporter prints to stdout or writes to reportFile", async () => {
+    markdownReporter(passingResult);
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining("## 🧳 Overweight Size Report"));
+
+    const target = path.join(tempDir, "sizes.md");
+    markdownReporter(passingResult, { reportFile: target, silent: true });
+    expect(await fs.readFile(target, "utf-8")).toContain("| N/A |");
+  });
+
+  it("renderHtml renders an offline page with table, charts, and treemap", () => {
+    const row = (overrides) => ({
+      label: "bundles",
+      filePath: "dist/a.js",
+      testerLabel: "gzip",
+      size: 9_000,
+      sizeFormatted: "9 kB",
+      maxSize: 10_000,
+      maxSizeFormatted: "10 kB",
+      diff: -1_000,
+      diffFormatted: "-1 kB",
+      passed: true,
+      ...overrides
+    });
+    const result = {
+      results: [
+        row({}),
+        row({ filePath: "dist/<b>.js", size: 12_000, sizeFormatted: "12 kB", diffFormatted: "+2 kB", passed: false }),
+        row({ testerLabel: "brotli", size: 8_000, sizeFormatted: "8 kB" })
+      ],
+      groups: []
+    };
+
+    const html = renderHtml(result);
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).not.toMatch(/<script|<link|https?:\/\//);
+    expect(html).toContain("<td>dist/&lt;b&gt;.js</td>");
+    expect(html).toContain("<h3>gzip</h3>");
+    expect(html).toContain("<h3>brotli</h3>");
+    expect(html).toContain('<div class="bar fail" style="width: 100.00%"></div>');
+    expect(html).toContain('<div class="limit" style="left: 83.33%"');
+    expect(html.match(/class="tile /g)).toHaveLength(2);
+    expect(html).not.toContain("vs baseline");
+
+    const withBaseline = renderHtml(result, {
+      baseline: [{ file: "dist/a.js", tester: "gzip", size: "8 kB", sizeBytes: 8_000 }]
+    });
+    expect(withBaseline).toContain("<th>vs baseline</th>");
+    expect(withBaseline).toContain("🔺 +1 kB (+12.5%)");
+    expect(withBaseline.match(/<svg class="sparkline"/g)).toHaveLength(1);
+  });
+
+  it("layoutTreemap fills the box with areas proportional to weight", () => {
+    const tiles = layoutTreemap([{ weight: 50 }, { weight: 30 }, { weight: 20 }], 0, 0, 100, 100);
+
+    expect(tiles.map(({ width, height }) => width * height)).toEqual([5_000, 3_000, 2_000]);
+    expect(tiles[0]).toMatchObject({ x: 0, y: 0, width: 50, height: 100 });
+  });
+
+  it("htmlReporter writes the page to disk", async () => {
+    htmlReporter(passingResult, { cwd: tempDir, silent: true });
+
+    expect(await fs.readFile(path.join(tempDir, "overweight-report.html"), "utf-8")).toContain("Overweight Size Report");
+  });
+
+  it("renderDelimited emits quoted rows in a stable column order", () => {
+    const result = {
+      results: [
+        {
+          label: 'main, "legacy"',
+          filePath: "dist/main.js",
+          testerLabel: "gzip",
+          size: 14_000,
+          sizeFormatted: "14 kB",
+          maxSize: 12_000,
+          maxSizeFormatted: "12 kB",
+          diff: 2_000,
+          diffFormatted: "+2 kB",
+          passed: false
+        },
+        {
+          label: "styles",
+          filePath: "dist/\tstyles.css",
+          testerLabel: "brotli",
+          size: null,
+          sizeFormatted: "N/A",
+          maxSize: 1_000,
+          maxSizeFormatted: "1 kB",
+          diff: null,
+          diffFormatted: "N/A",
+          passed: false,
+          error: "No files matched this pattern"
+        },
+        {
+          label: "stub",
+          filePath: "dist/stub.js",
+          testerLabel: "gzip",
+          size: 20,
+          sizeFormatted: "20 B",
+          maxSize: 1_000,
+          maxSizeFormatted: "1 kB",
+          diff: -980,
+          diffFormatted: "-980 B",
+          status: "fail",
+          passed: false,
+          reason: "20 B uncompressed is below the 1 kB minimum"
+        }
+      ],
+      groups: [
+        {
+          label: "critical",
+          rules: ["main", "styles"],
+          testerLabel: "gzip",
+          size: 14_000,
+          sizeFormatted: "14 kB",
+          maxSize: 13_000,
+          maxSizeFormatted: "13 kB",
+          diff: 1_000,
+          diffFormatted: "+1 kB",
+          status: "fail",
+          passed: false
+        }
+      ]
+    };
+
+    expect(renderDelimited(result).split("\n")).toEqual([
+      "label,file,tester,status,size,maxSize,diff,sizeFormatted,maxSizeFormatted,diffFormatted,error,reason,kind",
+      '"main, ""legacy""",dist/main.js,gzip,fail,14000,12000,2000,14 kB,12 kB,+2 kB,,,file',
+      "styles,dist/\tstyles.css,brotli,error,,1000,,N/A,1 kB,N/A,No files matched this pattern,,file",
+      "stub,dist/stub.js,gzip,fail,20,1000,-980,20 B,1 kB,-980 B,,20 B uncompressed is below the 1 kB minimum,file",
+      'critical,"main, styles",gzip,fail,14000,13000,1000,14 kB,13 kB,+1 kB,,,group',
+      ""
+    ]);
+    expect(renderDelimited(result, { delimiter: "\t", header: false }).split("\n")[1]).toBe(
+      'styles\t"dist/\tstyles.css"\tbrotli\terror\t\t1000\t\tN/A\t1 kB\tN/A\tNo files matched this pattern\t\tfile'
+    );
+  });
+
+  it("csvReporter and tsvReporter print to stdout or write to reportFile", async () => {
+    csvReporter(passingResult, { header: false });
+    expect(logSpy).toHaveBeenCalledWith("main,dist/main.js,gzip,pass,,,,10 kB,12 kB,-2 kB,,,file");
+
+    const target = path.join(tempDir, "sizes.tsv");
+    tsvReporter(passingResult, { reportFile: target, silent: true });
+    expect(await fs.readFile(target, "utf-8")).toMatch(/^label\tfile\ttester\t/);
+  });
+
+  it("buildBadges colors badges by proximity to the limit", () => {
+    const row = (overrides) => ({
+      pattern: "dist/*.js",
+      label: "Main bundle",
+      filePath: "dist/a.js",
+      testerLabel: "gzip",
+      size: 5_000,
+      sizeFormatted: "5 kB",
+      maxSize: 10_000,
+      passed: true,
+      ...overrides
+    });
+    const badges = buildBadges(
+      {
+        results: [
+          row({}),
+          row({ filePath: "dist/b.js", size: 4_500, sizeFormatted: "4.5 kB" }),
+          row({ pattern: "*.css", label: "styles", filePath: "a.css", size: 9_500, sizeFormatted: "9.5 kB" }),
+          row({ pattern: "*.css", label: "styles", filePath: "a.css", testerLabel: "brotli", size: 11_000, sizeFormatted: "11 kB", passed: false })
+        ],
+        groups: [{ label: "critical", testerLabel: "gzip", size: null, maxSize: 1, passed: false, error: "boom" }]
+      },
+      { labels: { "Main bundle": "bundle size" } }
+    );
+
+    expect(badges.map(({ fileName, label, value, color }) => ({ fileName, label, value, color }))).toEqual([
+      { fileName: "main-bundle.svg", label: "bundle size", value: "9.5 kB gzip", color: "#4c1" },
+      { fileName: "styles-gzip.svg", label: "styles", value: "9.5 kB gzip", color: "#dfb317" },
+      { fileName: "styles-brotli.svg", label: "styles", value: "11 kB brotli", color: "#e05d44" },
+      { fileName: "group-critical.svg", label: "critical", value: "error", color: "#e05d44" }
+    ]);
+    expect(buildBadges({ results: [row({ size: 5_000 })] }, { nearLimit: 0.5 })[0].color).toBe("#dfb317");
+  });
+
+  it("buildBadges gives colliding badge file names a numeric suffix", () => {
+    const row = (overrides) => ({
+      label: "app",
+      filePath: "app.js",
+      testerLabel: "gzip",
+      size: 1_000,
+      sizeFormatted: "1 kB",
+      maxSize: 10_000,
+      passed: true,
+      ...overrides
+    });
+    const badges = buildBadges({
+      results: [
+        row({ pattern: "app.js" }),
+        row({ pattern: "app.css", filePath: "app.css" }),
+        row({ pattern: "app.mjs", label: "App!", filePath: "app.mjs" }),
+        row({ pattern: "x.js", label: "group-x", filePath: "x.js" })
+      ],
+      groups: [{ label: "x", testerLabel: "gzip", size: 1_000, sizeFormatted: "1 kB", maxSize: 10_000, passed: true }]
+    });
+
+    expect(badges.map((badge) => badge.fileName)).toEqual([
+      "app.svg",
+      "app-2.svg",
+      "app-3.svg",
+      "group-x.svg",
+      "group-x-2.svg"
+    ]);
+  });
+
+  it("renderBadge escapes text into a standalone SVG", () => {
+    const svg = renderBadge({ label: "a<b", value: "1 kB gzip", color: "#4c1" });
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    expect(svg).toContain("<title>a&lt;b: 1 kB gzip</title>");
+    expect(svg).toContain('fill="#4c1"');
+  });
+
+  it("badgeReporter writes one SVG per badge into the target directory", async () => {
+    badgeReporter(passingResult, { cwd: tempDir, silent: true });
+
+    expect(await fs.readdir(path.join(tempDir, "overweight-badges"))).toEqual(["main.svg"]);
+  });
+
+  it("renderJunit maps rules to suites and rows to test cases", () => {
+    const row = (overrides) => ({
+      pattern: "dist/*.js",
+      label: "bundles",
+      testerLabel: "gzip",
+      size: 10_000,
+      sizeFormatted: "10 kB",
+      maxSize: 12_000,
+      maxSizeFormatted: "12 kB",
+      diff: -2_000,
+      diffFormatted: "-2 kB",
+      passed: true,
+      ...overrides
+    });
+
+    const xml = renderJunit({
+      results: [
+        row({ filePath: "dist/a.js" }),
+        row({ filePath: "dist/b.js", size: 14_000, sizeFormatted: "14 kB", diff: 2_000, diffFormatted: "+2 kB", passed: false }),
+        row({
+          pattern: "dist/<missing>.css",
+          label: "styles & co",
+          filePath: "dist/<missing>.css",
+          size: null,
+          passed: false,
+          error: "No files matched this pattern"
+        })
+      ]
+    });
+
+    expect(xml).toContain('<testsuites name="overweight" tests="3" failures="1" errors="1">');
+    expect(xml).toContain('<testsuite name="bundles" tests="2" failures="1" errors="0">');
+    expect(xml).toContain('<testcase classname="bundles" name="dist/a.js (gzip)"/>');
+    expect(xml).toContain('<failure message="14 kB exceeds the 12 kB limit by +2 kB" type="size">size: 14000 bytes (14 kB)');
+    expect(xml).toContain('<testsuite name="styles &amp; co" tests="1" failures="0" errors="1">');
+    expect(xml).toContain('name="dist/&lt;missing&gt;.css (gzip)"');
+    expect(xml).toContain('<error message="No files matched this pattern" type="error"/>');
+  });
+
+  it("renderJunit and buildBadges keep rows of a templated label under their rule", () => {
+    const row = (locale) => ({
+      pattern: "dist/locales/*.js",
+      label: `locale ${locale}`,
+      ruleLabel: "locale [name]",
+      filePath: `dist/locales/${locale}.js`,
+      testerLabel: "gzip",
+      size: 1_000,
+      sizeFormatted: "1 kB",
+      maxSize: 2_000,
+      passed: true
+    });
+    const result = { results: [row("de"), row("en"), row("fr")] };
+
+    expect(renderJunit(result).match(/<testsuite /g)).toHaveLength(1);
+    expect(renderJunit(result)).toContain('<testsuite name="locale [name]" tests="3" failures="0" errors="0">');
+    expect(buildBadges(result).map((badge) => badge.fileName)).toEqual(["locale-name.svg"]);
+  });
+
+  it("renderJunit uses the reason of rows under their minimum as the failure message", () => {
+    const xml = renderJunit({
+      results: [
+        {
+          pattern: "dist/main.js",
+          label: "main",
+          filePath: "dist/main.js",
+          testerLabel: "gzip",
+          size: 20,
+          sizeFormatted: "20 B",
+          maxSize: 12_000,
+          maxSizeFormatted: "12 kB",
+          diff: -11_980,
+          diffFormatted: "-11.98 kB",
+          status: "fail",
+          passed: false,
+          reason: "File is empty (0 bytes)"
+        }
+      ]
+    });
+
+    expect(xml).toContain('<failure message="File is empty (0 bytes)" type="min-size">');
+  });
+
+  it("junitReporter writes the XML report to disk", async () => {
+    junitReporter(passingResult, { cwd: tempDir, silent: true });
+
+    const contents = await fs.readFile(path.join(tempDir, "overweight-junit.xml"), "utf-8");
+    expect(contents).toMatch(/^<\?xml version="1.0"/);
+  });
+
+  it("renderJunit reports skipped rules", () => {
+    const xml = renderJunit({
+      results: [
+        {
+          pattern: "legacy/*.js",
+          label: "legacy",
+          filePath: "legacy/*.js",
+          testerLabel: "gzip",
+          size: null,
+          passed: true,
+          skipped: true,
+          reason: "No files matched this pattern"
+        }
+      ]
+    });
+
+    expect(xml).toContain('<testsuite name="legacy" tests="1" failures="0" errors="0" skipped="1">');
+    expect(xml).toContain('<skipped message="No files matched this pattern"/>');
+  });
+
+  it("renderTap emits a plan, test points, and YAML diagnostics", () => {
+    const tap = renderTap({
+      results: [
+        {
+          label: "main #1",
+          filePath: "dist/main.js",
+          testerLabel: "gzip",
+          size: 14_000,
+          sizeFormatted: "14 kB",
+          maxSize: 12_000,
+          maxSizeFormatted: "12 kB",
+          diff: 2_000,
+          diffFormatted: "+2 kB",
+          passed: false
+        },
+        {
+          label: "legacy",
+          filePath: "legacy/*.js",
+          testerLabel: "gzip",
+          size: null,
+          sizeFormatted: "N/A",
+          maxSize: 1_000,
+          maxSizeFormatted: "1 kB",
+          diff: null,
+          diffFormatted: "N/A",
+          passed: true,
+          skipped: true,
+          reason: "No files matched this pattern"
+        }
+      ],
+      groups: [
+        {
+          label: "critical",
+          rules: ["main #1"],
+          testerLabel: "gzip",
+          size: null,
+          passed: false,
+          error: 'Rule "main #1" has no gzip measurement'
+        }
+      ]
+    });
+    const lines = tap.split("\n");
+
+    expect(lines.slice(0, 3)).toEqual(["TAP version 14", "1..3", "not ok 1 - main \\#1: dist/main.js (gzip)"]);
+    expect(lines.slice(3, 8)).toEqual(["  ---", '  label: "main #1"', '  file: "dist/main.js"', '  tester: "gzip"', "  size: 14000"]);
+    expect(tap).toContain("  diff: 2000\n");
+    expect(tap).toContain("ok 2 - legacy: legacy/*.js (gzip) # SKIP No files matched this pattern\n");
+    expect(tap).toContain("  size: ~\n");
+    expect(tap).toContain("not ok 3 - group critical (gzip)\n");
+    expect(tap).toContain('  message: "Rule \\"main #1\\" has no gzip measurement"\n  ...\n');
+    expect(renderTap({ results: [] })).toBe("TAP version 14\n1..0 # SKIP No files were evaluated\n");
+  });
+
+  it("tapReporter prints to stdout or writes to reportFile", async () => {
+    tapReporter(passingResult);
+    expect(logSpy).toHaveBeenCalledWith(expect.stringMatching(/^TAP version 14\n1\.\.1\nok 1 - main/));
+
+    const target = path.join(tempDir, "sizes.tap");
+    tapReporter(passingResult, { reportFile: target, silent: true });
+    expect(await fs.readFile(target, "utf-8")).toMatch(/^TAP version 14\n/);
+  });
+
+  it("renderAnnotations flags failed, errored, and near-limit rows at their config line", () => {
+    const row = (overrides) => ({
+      pattern: "dist/*.js",
+      label: "bundles",
+      filePath: "dist/a.js",
+      testerLabel: "gzip",
+      size: 9_000,
+      sizeFormatted: "9 kB",
+      maxSize: 10_000,
+      maxSizeFormatted: "10 kB",
+      diff: -1_000,
+      diffFormatted: "-1 kB",
+      passed: true,
+      ...overrides
+    });
+    const configText = ['{', '  "files": [', '    { "path": "dist/*.js", "maxSize": "10 kB" },', '    { "path": "missing.css", "maxSize": "1 kB" }', "  ]", "}"].join("\n");
+
+    const annotations = renderAnnotations(
+      {
+        results: [
+          row({}),
+          row({ filePath: "dist/b.js", size: 1_000, sizeFormatted: "1 kB", diff: -9_000 }),
+          row({ filePath: "dist/c.js", size: 12_000, sizeFormatted: "12 kB", diff: 2_000, diffFormatted: "+2 kB", passed: false }),
+          row({ pattern: "missing.css", label: "styles", filePath: "missing.css", size: null, passed: false, error: "No files matched this pattern" })
+        ],
+        groups: [{ label: "critical, path", testerLabel: "gzip", size: 30_000, sizeFormatted: "30 kB", maxSize: 20_000, maxSizeFormatted: "20 kB", diffFormatted: "+10 kB", passed: false }]
+      },
+      { configFile: "overweight.json", configText }
+    );
+
+    expect(annotations).toEqual([
+      "::warning file=overweight.json,line=3,title=Overweight%3A bundles::dist/a.js (gzip) is 9 kB, 90.0%25 of its 10 kB limit",
+      "::error file=overweight.json,line=3,title=Overweight%3A bundles::dist/c.js (gzip) is 12 kB, +2 kB over its 10 kB limit",
+      "::error file=overweight.json,line=4,title=Overweight%3A styles::missing.css (gzip): No files matched this pattern",
+      '::error file=overweight.json,title=Overweight group%3A critical%2C path::Group "critical, path" (gzip) is 30 kB, +10 kB over its 20 kB limit'
+    ]);
+    expect(renderAnnotations({ results: [row({})] }, { nearLimit: 0.95 })).toEqual([]);
+  });
+
+  it("github, SARIF, and GitLab reporters locate array-path rules by their first entry", () => {
+    const entry = {
+      pattern: "dist/app.js, dist/vendor.js",
+      patterns: ["dist/app.js", "dist/vendor.js"],
+      label: "bundles",
+      filePath: "dist/app.js",
+      absolutePath: "/repo/dist/app.js",
+      tester: "gzip",
+      testerLabel: "gzip",
+      size: 12_000,
+      sizeFormatted: "12 kB",
+      maxSize: 10_000,
+      maxSizeFormatted: "10 kB",
+      diff: 2_000,
+      diffFormatted: "+2 kB",
+      passed: false
+    };
+    const options = {
+      cwd: "/repo",
+      configFile: "overweight.json",
+      configText: ["{", '  "files": [', '    { "path": ["dist/app.js", "dist/vendor.js"] }', "  ]", "}"].join("\n")
+    };
+
+    expect(renderAnnotations({ results: [entry] }, options)[0]).toMatch(/^::error file=overweight.json,line=3,/);
+    expect(renderSarif({ results: [entry] }, options).runs[0].results[0].locations[1]).toMatchObject({
+      physicalLocation: { region: { startLine: 3 } }
+    });
+    expect(renderCodeQuality({ results: [entry] }, options)[0].location).toEqual({
+      path: "overweight.json",
+      lines: { begin: 3 }
+    });
+  });
+
+  it("renderAnnotations warns about unmatched onMissing: \"warn\" rules", () => {
+    const annotations = renderAnnotations({
+      results: [
+        {
+          pattern: "web-*.js",
+          label: "web",
+          filePath: "web-*.js",
+          testerLabel: "gzip",
+          size: null,
+          sizeFormatted: "N/A",
+          maxSize: 10_000,
+          maxSizeFormatted: "10 kB",
+          status: "warn",
+          passed: true,
+          missing: true,
+          reason: "No files matched this pattern"
+        }
+      ]
+    });
+
+    expect(annotations).toEqual(["::warning title=Overweight%3A web::web-*.js (gzip): No files matched this pattern"]);
+  });
+
+  it("githubReporter wraps the table in a group and prints annotations", () => {
+    githubReporter(failingResult);
+
+    const lines = logSpy.mock.calls.map(([line]) => line);
+    expect(lines[0]).toBe("::group::Overweight size report");
+    expect(lines).toContain("::endgroup::");
+    expect(lines.at(-1)).toMatch(/^::error title=Overweight%3A main::dist\/main\.js \(gzip\) is 14 kB/);
+  });
+
+  it("renderOpenMetrics emits size and limit gauges and the failure count", () => {
+    const text = renderOpenMetrics({
+      results: [
+        { label: 'main "app"', filePath: "dist/main.js", tester: "gzip", size: 10_240, maxSize: 12_000 },
+        { label: "styles", filePath: "*.css", tester: "brotli", size: null, maxSize: 1_000, error: "No files matched this pattern" }
+      ],
+      groups: [{ label: "critical", tester: "gzip", size: 20_000, maxSize: 15_000 }],
+      stats: { failures: [{}], groupFailures: [{}] }
+    });
+    const lines = text.split("\n");
+
+    expect(lines.slice(0, 4)).toEqual([
+      "# HELP overweight_file_size_bytes Measured size of a file.",
+      "# TYPE overweight_file_size_bytes gauge",
+      "# UNIT overweight_file_size_bytes bytes",
+      'overweight_file_size_bytes{label="main \\"app\\"",file="dist/main.js",tester="gzip"} 10240'
+    ]);
+    expect(lines).not.toContain(expect.stringMatching(/^overweight_file_size_bytes\{label="styles"/));
+    expect(lines).toContain('overweight_file_limit_bytes{label="styles",file="*.css",tester="brotli"} 1000');
+    expect(lines).toContain('overweight_group_size_bytes{group="critical",tester="gzip"} 20000');
+    expect(lines).toContain("overweight_check_failures_total 2");
+    expect(text.endsWith("# EOF\n")).toBe(true);
+  });
+
+  it("openMetricsReporter replaces the target file without leaving temp files", async () => {
+    const target = path.join(tempDir, "metrics", "overweight.prom");
+
+    openMetricsReporter(failingResult, { reportFile: target, silent: true });
+    openMetricsReporter(passingResult, { reportFile: target, silent: true });
+
+    expect(await fs.readFile(target, "utf-8")).toContain("overweight_check_failures_total 0");
+    expect(await fs.readdir(path.dirname(target))).toEqual(["overweight.prom"]);
+  });
+
+  it("renderSarif maps labels to rules and failed checks to located results", () => {
+    const row = (overrides) => ({
+      pattern: "dist/*.js",
+      label: "bundles",
+      filePath: "dist/a.js",
+      absolutePath: "/repo/dist/a.js",
+      tester: "gzip",
+      testerLabel: "gzip",
+      size: 9_000,
+      sizeFormatted: "9 kB",
+      maxSize: 10_000,
+      maxSizeFormatted: "10 kB",
+      diff: -1_000,
+      diffFormatted: "-1 kB",
+      passed: true,
+      ...overrides
+    });
+
+    const sarif = renderSarif(
+      {
+        results: [
+          row({}),
+          row({ filePath: "dist/b.js", absolutePath: "/repo/dist/b.js", size: 12_000, sizeFormatted: "12 kB", diff: 2_000, diffFormatted: "+2 kB", passed: false }),
+          row({ pattern: "missing.css", label: "styles", filePath: "missing.css", absolutePath: undefined, size: null, diff: null, passed: false, error: "No files matched this pattern" })
+        ],
+        groups: [{ label: "critical", rules: ["bundles"], tester: "gzip", testerLabel: "gzip", size: 20_000, sizeFormatted: "20 kB", maxSize: 15_000, maxSizeFormatted: "15 kB", diff: 5_000, diffFormatted: "+5 kB", passed: false }]
+      },
+      { cwd: "/repo", configFile: "overweight.json", configText: '{\n  "files": [{ "path": "dist/*.js" }]\n}' }
+    );
+    const [run] = sarif.runs;
+
+    expect(sarif.version).toBe("2.1.0");
+    expect(run.tool.driver.rules.map((rule) => rule.id)).toEqual(["bundles", "styles", "group:critical"]);
+    expect(run.results).toHaveLength(3);
+    expect(run.results[0]).toMatchObject({
+      ruleId: "bundles",
+      ruleIndex: 0,
+      level: "error",
+      message: { text: "dist/b.js (gzip) is 12 kB, +2 kB over its 10 kB limit" },
+      locations: [
+        { physicalLocation: { artifactLocation: { uri: "dist/b.js", uriBaseId: "%SRCROOT%" } } },
+        { physicalLocation: { artifactLocation: { uri: "overweight.json" }, region: { startLine: 2 } } }
+      ],
+      properties: { tester: "gzip", sizeBytes: 12_000, limitBytes: 10_000, diffBytes: 2_000, file: "dist/b.js" }
+    });
+    expect(run.results[1].message.text).toBe("missing.css (gzip): No files matched this pattern");
+    expect(run.results[1].locations).toEqual([{ physicalLocation: { artifactLocation: { uri: "overweight.json", uriBaseId: "%SRCROOT%" } } }]);
+    expect(run.results[2]).toMatchObject({ ruleId: "group:critical", ruleIndex: 2, properties: { rules: ["bundles"] } });
+  });
+
+  it("sarifReporter writes the log to disk", async () => {
+    sarifReporter(failingResult, { cwd: tempDir, silent: true });
+
+    const sarif = JSON.parse(await fs.readFile(path.join(tempDir, "overweight.sarif"), "utf-8"));
+    expect(sarif.runs[0].results[0].ruleId).toBe("main");
+  });
+
+  it("renderCodeQuality turns failing checks into fingerprinted issues", () => {
+    const row = (overrides) => ({
+      pattern: "dist/*.js",
+      label: "bundles",
+      filePath: "dist/a.js",
+      absolutePath: "/repo/dist/a.js",
+      tester: "gzip",
+      testerLabel: "gzip",
+      size: 12_000,
+      sizeFormatted: "12 kB",
+      maxSize: 10_000,
+      maxSizeFormatted: "10 kB",
+      diff: 2_000,
+      diffFormatted: "+2 kB",
+      passed: false,
+      ...overrides
+    });
+    const results = [
+      row({ filePath: "dist/ok.js", absolutePath: "/repo/dist/ok.js", size: 9_000, diff: -1_000, passed: true }),
+      row({}),
+      row({ filePath: "dist/b.js", absolutePath: "/repo/dist/b.js", tester: "brotli", testerLabel: "brotli" })
+    ];
+
+    const issues = renderCodeQuality(
+      { results },
+      { cwd: "/repo", configFile: "overweight.json", configText: '{\n  "files": [{ "path": "dist/*.js" }]\n}' }
+    );
+
+    expect(issues).toHaveLength(2);
+    expect(issues[0]).toMatchObject({
+      type: "issue",
+      check_name: "overweight",
+      description: "bundles: dist/a.js (gzip) is 12 kB, +2 kB over its 10 kB limit",
+      severity: "major",
+      location: { path: "overweight.json", lines: { begin: 2 } }
+    });
+    expect(issues[0].fingerprint).toMatch(/^[0-9a-f]{64}$/);
+    expect(issues[0].fingerprint).not.toBe(issues[1].fingerprint);
+    expect(renderCodeQuality({ results }, { cwd: "/repo" })[0]).toMatchObject({
+      fingerprint: issues[0].fingerprint,
+      location: { path: "dist/a.js", lines: { begin: 1 } }
+    });
+  });
+
+  it("renderSarif keeps one rule per overweight rule for templated and shared labels", () => {
+    const row = (overrides) => ({
+      pattern: "dist/locales/(?<locale>*).js",
+      ruleLabel: "locale-[locale]",
+      tester: "gzip",
+      testerLabel: "gzip",
+      size: 12_000,
+      maxSize: 10_000,
+      diff: 2_000,
+      passed: false,
+      ...overrides
+    });
+    const sarif = renderSarif({
+      results: [
+        row({ label: "locale-en", filePath: "dist/locales/en.js" }),
+        row({ label: "locale-fr", filePath: "dist/locales/fr.js" }),
+        row({ pattern: "dist/app.js", label: "app", ruleLabel: "app", filePath: "dist/app.js" }),
+        row({ pattern: "dist/app.css", label: "app", ruleLabel: "app", filePath: "dist/app.css" })
+      ]
+    });
+    const [run] = sarif.runs;
+
+    expect(run.tool.driver.rules.map((rule) => [rule.id, rule.shortDescription.text])).toEqual([
+      ["locale-[locale]", "Size budget for dist/locales/(?<locale>*).js"],
+      ["app (dist/app.js)", "Size budget for dist/app.js"],
+      ["app (dist/app.css)", "Size budget for dist/app.css"]
+    ]);
+    expect(run.results.map(({ ruleId, ruleIndex }) => [ruleId, ruleIndex])).toEqual([
+      ["locale-[locale]", 0],
+      ["locale-[locale]", 0],
+      ["app (dist/app.js)", 1],
+      ["app (dist/app.css)", 2]
+    ]);
+  });
+
+  it("renderCodeQuality and renderSarif locate aggregate rows by their files, not their glob", () => {
+    const aggregateRow = {
+      pattern: "dist/chunks/*.js",
+      label: "chunks",
+      filePath: "dist/chunks/*.js",
+      tester: "gzip",
+      testerLabel: "gzip",
+      size: 12_000,
+      maxSize: 10_000,
+      diff: 2_000,
+      passed: false,
+      aggregate: "sum",
+      files: [{ filePath: "dist/chunks/a.js", absolutePath: "/repo/dist/chunks/a.js", size: 12_000 }]
+    };
+
+    expect(renderCodeQuality({ results: [aggregateRow] }, { cwd: "/repo" })[0].location.path).toBe("dist/chunks/a.js");
+    expect(renderSarif({ results: [aggregateRow] }, { cwd: "/repo" }).runs[0].results[0].locations).toEqual([
+      { physicalLocation: { artifactLocation: { uri: "dist/chunks/a.js", uriBaseId: "%SRCROOT%" } } }
+    ]);
+  });
+
+  it("renderCodeQuality and renderOpenMetrics key content-hashed files on their fileKey", () => {
+    const hashed = (hash) => ({
+      pattern: "dist/main.[hash].js",
+      label: "main",
+      filePath: `dist/main.${hash}.js`,
+      fileKey: "dist/main.[hash].js",
+      tester: "gzip",
+      testerLabel: "gzip",
+      size: 12_000,
+      maxSize: 10_000,
+      diff: 2_000,
+      passed: false
+    });
+    const fingerprintOf = (row) => renderCodeQuality({ results: [row] }, { cwd: "/repo" })[0].fingerprint;
+
+    expect(fingerprintOf(hashed("3f9a1c"))).toBe(fingerprintOf(hashed("77be02")));
+    expect(renderOpenMetrics({ results: [hashed("3f9a1c")], stats: {} })).toContain(
+      'overweight_file_size_bytes{label="main",file="dist/main.[hash].js",tester="gzip"} 12000'
+    );
+  });
+
+  it("severityFor scales with the share over the limit", () => {
+    const over = (diff) => severityFor({ maxSize: 100, diff });
+
+    expect([over(5), over(20), over(50), over(51)]).toEqual(["minor", "major", "critical", "blocker"]);
+    expect(severityFor({ maxSize: 100, diff: null, error: "No files matched this pattern" })).toBe("major");
+    expect(severityFor({ maxSize: 100, diff: -100, reason: "File is empty (0 bytes)" })).toBe("major");
+  });
+
+  it("gitlabCodeQualityReporter writes the report to disk", async () => {
+    gitlabCodeQualityReporter(failingResult, { cwd: tempDir, silent: true });
+
+    const issues = JSON.parse(await fs.readFile(path.join(tempDir, "gl-code-quality-report.json"), "utf-8"));
+    expect(issues[0].location.path).toBe("dist/main.js");
+  });
+
   it("getReporter resolves registered reporters", () => {
     expect(typeof getReporter()).toBe("function");
     expect(typeof getReporter("json")).toBe("function");
     expect(typeof getReporter("silent")).toBe("function");
+    expect(typeof getReporter("markdown")).toBe("function");
     expect(typeof getReporter("json-file", { reportFile: path.join(tempDir, "r.json") })).toBe("function");
   });
 
   it("getReporter throws for unknown reporter", () => {
     expect(() => getReporter("unknown")).toThrow(/Unknown reporter/);
   });
+
+  it("loadReporter returns built-in reporters bound to their options", async () => {
+    const reporter = await loadReporter("json");
+    reporter(passingResult);
+
+    expect(logSpy).toHaveBeenCalledWith(JSON.stringify(passingResult, null, 2));
+  });
+
+  it("loadReporter imports reporter modules relative to baseDir", async () => {
+    await fs.mkdir(path.join(tempDir, "tools"));
+    await fs.writeFile(
+      path.join(tempDir, "tools", "count.mjs"),
+      "export default (result, options) => console.log(`${options.prefix}${result.results.length}`);"
+    );
+
+    const reporter = await loadReporter("./tools/count.mjs", { prefix: "rows: " }, { baseDir: tempDir });
+    await reporter(passingResult);
+
+    expect(logSpy).toHaveBeenCalledWith("rows: 1");
+  });
+
+  it("loadReporter rejects unknown names and modules without a reporter function", async () => {
+    await fs.writeFile(path.join(tempDir, "not-a-reporter.mjs"), "export default 42;");
+
+    await expect(loadReporter("./missing.mjs", {}, { baseDir: tempDir })).rejects.toThrow(/Unknown reporter/);
+    await expect(loadReporter("./not-a-reporter.mjs", {}, { baseDir: tempDir })).rejects.toThrow(
+      /must default-export a reporter function/
+    );
+  });
 });
 
@@ -1,8 +1,9 @@
+import { execFileSync } from "node:child_process";
 import fs from "node:fs/promises";
 import os from "node:os";
 import path from "node:path";
 
-import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
 
 import { normalizeConfig } from "../src/config/load-config.js";
 import { runChecks } from "../src/core/run-checks.js";
@@ -89,6 +90,343 @@ describe("runChecks", () => {
     expect(result.stats.hasFailures).toBe(false);
   });
 
+  it("measures files with the zstd tester", async () => {
+    const filePath = path.join(tempDir, "bundle.js");
+    const contents = "export const value = 'zstd';\n".repeat(50);
+    await fs.writeFile(filePath, contents);
+
+    const config = normalizeConfig(
+      {
+        files: [
+          {
+            path: filePath,
+            maxSize: "2 kB",
+            compression: "ZSTD"
+          }
+        ]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results[0].tester).toBe("zstd");
+    expect(result.results[0].size).toBeGreaterThan(0);
+    expect(result.results[0].size).toBeLessThan(contents.length);
+  });
+
+  it("applies compressionOptions to the built-in testers", async () => {
+    const filePath = path.join(tempDir, "bundle.js");
+    await fs.writeFile(filePath, Array.from({ length: 400 }, (_, i) => `const v${i} = ${i * 7};`).join("\n"));
+
+    const measure = async (compressionOptions) => {
+      const config = normalizeConfig(
+        { files: [{ path: filePath, maxSize: "1 MB", compression: "gzip", compressionOptions }] },
+        { cwd: tempDir }
+      );
+      const { results } = await runChecks(config);
+      return results[0].size;
+    };
+
+    expect(await measure({ level: 1 })).toBeGreaterThan(await measure({ level: 9 }));
+  });
+
+  it("passes compressionOptions to custom testers", async () => {
+    const filePath = path.join(tempDir, "bundle.js");
+    await fs.writeFile(filePath, "a".repeat(10));
+    const measure = vi.fn(async () => ({ bytes: 1 }));
+
+    const config = normalizeConfig(
+      {
+        compressionOptions: { level: 4 },
+        files: [{ path: filePath, maxSize: 100, compression: "custom", compressionOptions: { preset: "fast" } }]
+      },
+      { cwd: tempDir }
+    );
+
+    await runChecks(config, { testers: { custom: { id: "custom", measure } } });
+    expect(measure).toHaveBeenCalledWith(
+      expect.any(Buffer),
+      expect.objectContaining({ compressionOptions: { level: 4, preset: "fast" } })
+    );
+  });
+
+  it("names the tester and rule when a tester throws", async () => {
+    await fs.writeFile(path.join(tempDir, "bundle.js"), "a".repeat(10));
+    const measure = () => {
+      throw new Error("level out of range");
+    };
+
+    const config = normalizeConfig(
+      { files: [{ path: "*.js", maxSize: 100, compression: "custom" }] },
+      { cwd: tempDir }
+    );
+
+    await expect(runChecks(config, { testers: { custom: { id: "custom", measure } } })).rejects.toThrow(
+      'Tester "custom" failed to measure "bundle.js" (rule "*.js"): level out of range'
+    );
+  });
+
+  it("measures each file once per tester in a limits map", async () => {
+    const filePath = path.join(tempDir, "bundle.js");
+    await fs.writeFile(filePath, "console.log('hello world');\n".repeat(40));
+
+    const config = normalizeConfig(
+      {
+        files: [{ path: filePath, limits: { gzip: "1 kB", brotli: "1 kB", none: 100 } }]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results.map((entry) => entry.tester)).toEqual(["gzip", "brotli", "none"]);
+    expect(result.results.map((entry) => entry.passed)).toEqual([true, true, false]);
+    expect(result.results[2].maxSize).toBe(100);
+    expect(result.stats.failures).toHaveLength(1);
+  });
+
+  it("hands each tester of a limits map its own compressionOptions", async () => {
+    await fs.writeFile(path.join(tempDir, "bundle.js"), "a".repeat(10));
+    const fast = vi.fn(async () => ({ bytes: 1 }));
+    const slow = vi.fn(async () => ({ bytes: 1 }));
+
+    const config = normalizeConfig(
+      {
+        compressionOptions: { level: 4, slow: { level: 9 } },
+        files: [
+          {
+            path: "bundle.js",
+            limits: { fast: 100, slow: 100 },
+            compressionOptions: { preset: "x", fast: { level: 1 } }
+          }
+        ]
+      },
+      { cwd: tempDir }
+    );
+
+    await runChecks(config, { testers: { fast: { id: "fast", measure: fast }, slow: { id: "slow", measure: slow } } });
+    expect(fast.mock.calls[0][1].compressionOptions).toEqual({ level: 1, preset: "x" });
+    expect(slow.mock.calls[0][1].compressionOptions).toEqual({ level: 9, preset: "x" });
+  });
+
+  it("marks rows at their warnAt threshold as warnings that still pass", async () => {
+    await fs.writeFile(path.join(tempDir, "near.js"), "x".repeat(95));
+    await fs.writeFile(path.join(tempDir, "far.js"), "x".repeat(50));
+    await fs.writeFile(path.join(tempDir, "over.js"), "x".repeat(120));
+
+    const config = normalizeConfig(
+      {
+        warnAt: "90%",
+        files: [
+          { path: "near.js", maxSize: 100, compression: "none" },
+          { path: "far.js", maxSize: 100, compression: "none" },
+          { path: "over.js", maxSize: 100, compression: "none" }
+        ],
+        groups: [{ label: "all", rules: ["near.js", "far.js"], maxSize: 150, compression: "none", warnAt: 140 }]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results.map(({ status, passed, warnSize }) => ({ status, passed, warnSize }))).toEqual([
+      { status: "warn", passed: true, warnSize: 90 },
+      { status: "pass", passed: true, warnSize: 90 },
+      { status: "fail", passed: false, warnSize: 90 }
+    ]);
+    expect(result.groups[0]).toMatchObject({ size: 145, status: "warn", passed: true });
+    expect(result.stats.warnings.map((entry) => entry.filePath)).toEqual(["near.js"]);
+    expect(result.stats.groupWarnings).toHaveLength(1);
+    expect(result.stats.hasWarnings).toBe(true);
+    expect(result.stats.failures).toHaveLength(1);
+  });
+
+  it("compares minSize with the uncompressed size on every tester", async () => {
+    await fs.writeFile(path.join(tempDir, "repetitive.js"), "x".repeat(2_000));
+
+    const config = normalizeConfig(
+      { files: [{ path: "repetitive.js", limits: { none: "10 kB", gzip: 100 }, minSize: "1 kB" }] },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results.map(({ tester, status, reason }) => ({ tester, status, reason }))).toEqual([
+      { tester: "none", status: "pass", reason: undefined },
+      { tester: "gzip", status: "pass", reason: undefined }
+    ]);
+  });
+
+  it("fails empty files and files below their minSize with a reason", async () => {
+    await fs.writeFile(path.join(tempDir, "empty.js"), "");
+    await fs.writeFile(path.join(tempDir, "stub.js"), "x".repeat(10));
+    await fs.writeFile(path.join(tempDir, "full.js"), "x".repeat(60));
+
+    const config = normalizeConfig(
+      {
+        failOnEmpty: true,
+        files: [
+          { path: "empty.js", maxSize: 100 },
+          { path: "stub.js", maxSize: 100, minSize: 50, compression: "none" },
+          { path: "full.js", maxSize: 100, minSize: 50, compression: "none" }
+        ]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results.map(({ status, passed, minSize, reason }) => ({ status, passed, minSize, reason }))).toEqual([
+      { status: "fail", passed: false, minSize: null, reason: "File is empty (0 bytes)" },
+      { status: "fail", passed: false, minSize: 50, reason: "10 B uncompressed is below the 50 B minimum" },
+      { status: "pass", passed: true, minSize: 50, reason: undefined }
+    ]);
+    expect(result.stats.failures).toHaveLength(2);
+    expect(result.stats.hasFailures).toBe(true);
+  });
+
+  it("reports a missing result per tester in a limits map", async () => {
+    const config = normalizeConfig(
+      {
+        files: [{ path: path.join(tempDir, "missing.js"), limits: { gzip: "1 kB", brotli: "1 kB" } }]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results.map((entry) => entry.tester)).toEqual(["gzip", "brotli"]);
+    expect(result.results.every((entry) => entry.error)).toBe(true);
+  });
+
+  it("sums all matches of an aggregate rule into one row", async () => {
+    await fs.mkdir(path.join(tempDir, "chunks"));
+    await fs.writeFile(path.join(tempDir, "chunks", "a.js"), "a".repeat(60));
+    await fs.writeFile(path.join(tempDir, "chunks", "b.js"), "b".repeat(50));
+
+    const config = normalizeConfig(
+      { files: [{ path: "chunks/*.js", maxSize: 100, compression: "none", aggregate: "sum" }] },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results).toHaveLength(1);
+
+    const [row] = result.results;
+    expect(row).toMatchObject({ filePath: "chunks/*.js", aggregate: "sum", size: 110, diff: 10, passed: false });
+    expect(row.absolutePath).toBeUndefined();
+    expect(row.files.map(({ filePath, size }) => [filePath, size]).sort()).toEqual([
+      [path.join("chunks", "a.js"), 60],
+      [path.join("chunks", "b.js"), 50]
+    ]);
+  });
+
+  it("compresses the concatenated matches of a concat aggregate rule", async () => {
+    await fs.mkdir(path.join(tempDir, "chunks"));
+    const contents = "export const shared = 'the same text in every chunk';\n".repeat(20);
+    await fs.writeFile(path.join(tempDir, "chunks", "a.js"), contents);
+    await fs.writeFile(path.join(tempDir, "chunks", "b.js"), contents);
+
+    const measureWith = async (aggregate) => {
+      const config = normalizeConfig(
+        { files: [{ path: "chunks/*.js", maxSize: "10 kB", compression: "gzip", aggregate }] },
+        { cwd: tempDir }
+      );
+      const { results } = await runChecks(config);
+      return results[0];
+    };
+
+    const summed = await measureWith("sum");
+    const concatenated = await measureWith("concat");
+
+    expect(concatenated.size).toBeLessThan(summed.size);
+    expect(concatenated.files.map((file) => file.size)).toEqual(summed.files.map((file) => file.size));
+  });
+
+  it("hands a concat tester the rule's first glob, not the joined patterns", async () => {
+    await fs.mkdir(path.join(tempDir, "a"));
+    await fs.mkdir(path.join(tempDir, "b"));
+    await fs.writeFile(path.join(tempDir, "a", "one.js"), "1");
+    await fs.writeFile(path.join(tempDir, "b", "two.js"), "2");
+    const measure = vi.fn(() => ({ bytes: 1 }));
+
+    const config = normalizeConfig(
+      { files: [{ path: ["a/*.js", "b/*.js"], maxSize: 100, compression: "custom", aggregate: "concat" }] },
+      { cwd: tempDir }
+    );
+
+    await runChecks(config, { testers: { custom: { id: "custom", measure } } });
+    expect(measure).toHaveBeenLastCalledWith(
+      expect.any(Buffer),
+      expect.objectContaining({ filePath: path.resolve(tempDir, "a/*.js") })
+    );
+  });
+
+  it("sums referenced rules into budget groups", async () => {
+    await fs.writeFile(path.join(tempDir, "main.js"), "m".repeat(40));
+    await fs.writeFile(path.join(tempDir, "vendor.js"), "v".repeat(50));
+
+    const config = normalizeConfig(
+      {
+        defaultCompression: "none",
+        files: [
+          { label: "main", path: "main.js", maxSize: 100 },
+          { label: "vendor", path: "vendor.js", maxSize: 100 }
+        ],
+        groups: [
+          { label: "critical", rules: ["main", "vendor"], maxSize: 80 },
+          { label: "roomy", rules: ["main", "vendor"], maxSize: 90 }
+        ]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results.every((entry) => entry.passed)).toBe(true);
+    expect(result.groups.map(({ label, size, passed }) => [label, size, passed])).toEqual([
+      ["critical", 90, false],
+      ["roomy", 90, true]
+    ]);
+    expect(result.groups[0].files.map((file) => file.label)).toEqual(["main", "vendor"]);
+    expect(result.stats.failures).toHaveLength(0);
+    expect(result.stats.groupFailures).toHaveLength(1);
+    expect(result.stats.hasFailures).toBe(true);
+  });
+
+  it("marks a group as errored when a referenced rule has no measurement", async () => {
+    await fs.writeFile(path.join(tempDir, "main.js"), "m".repeat(40));
+
+    const config = normalizeConfig(
+      {
+        files: [
+          { label: "main", path: "main.js", maxSize: 100, compression: "none" },
+          { label: "styles", path: "main.css", maxSize: 100, compression: "none" }
+        ],
+        groups: [{ label: "critical", rules: ["main", "styles"], maxSize: 200, compression: "none" }]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.groups[0]).toMatchObject({ size: null, passed: false, error: 'Rule "styles" has no raw measurement' });
+    expect(result.stats.hasErrors).toBe(true);
+  });
+
+  it("uses testers declared in the config, overridden by options.testers", async () => {
+    const filePath = path.join(tempDir, "bundle.js");
+    await fs.writeFile(filePath, "a".repeat(10));
+
+    const config = normalizeConfig(
+      {
+        testers: [{ id: "fixed", measure: () => ({ bytes: 5 }) }],
+        files: [{ path: filePath, maxSize: 100, compression: "fixed" }]
+      },
+      { cwd: tempDir }
+    );
+
+    expect((await runChecks(config)).results[0].size).toBe(5);
+
+    const overridden = await runChecks(config, {
+      testers: { fixed: { id: "fixed", measure: () => ({ bytes: 7 }) } }
+    });
+    expect(overridden.results[0].size).toBe(7);
+  });
+
   it("marks missing files as errors", async () => {
     const config = normalizeConfig(
       {
@@ -107,5 +445,189 @@ describe("runChecks", () => {
     expect(result.stats.hasFailures).toBe(true);
     expect(result.results[0].error).toMatch(/No files matched/);
   });
-});
 
+  it("skips onMissing: \"skip\" rules whose glob matches nothing", async () => {
+    const config = normalizeConfig(
+      {
+        files: [{ path: "missing-*.js", maxSize: "1 kB", compression: "none", onMissing: "skip" }]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results[0]).toMatchObject({ passed: true, skipped: true, reason: "No files matched this pattern" });
+    expect(result.results[0].error).toBeUndefined();
+    expect(result.stats.hasFailures).toBe(false);
+    expect(result.stats.skipped).toHaveLength(1);
+  });
+
+  it("excludes ignored globs and negated path entries from matches", async () => {
+    await fs.mkdir(path.join(tempDir, "dist", ".cache"), { recursive: true });
+    await fs.mkdir(path.join(tempDir, "dist", "fixtures"));
+    await Promise.all(
+      ["app.js", "app.test.js", ".cache/chunk.js", "fixtures/data.js"].map((file) =>
+        fs.writeFile(path.join(tempDir, "dist", file), "x")
+      )
+    );
+
+    const config = normalizeConfig(
+      {
+        ignore: ["**/.cache/**"],
+        files: [
+          {
+            path: ["./dist/**/*.js", "!./dist/**/*.test.js"],
+            maxSize: 100,
+            compression: "none",
+            ignore: ["./dist/fixtures/**"]
+          }
+        ]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results.map((entry) => entry.filePath)).toEqual([path.join("dist", "app.js")]);
+    expect(result.results[0].patterns).toEqual(["./dist/**/*.js"]);
+  });
+
+  it("applies root-relative ignore globs and negated entries to an absolute rule path", async () => {
+    await fs.mkdir(path.join(tempDir, "dist", "fixtures"), { recursive: true });
+    await Promise.all(
+      ["app.js", "app.test.js", "fixtures/f.js"].map((file) => fs.writeFile(path.join(tempDir, "dist", file), "x"))
+    );
+
+    const config = normalizeConfig(
+      {
+        ignore: ["dist/fixtures/**"],
+        files: [
+          {
+            path: [path.join(tempDir, "dist", "**", "*.js"), "!dist/**/*.test.js"],
+            maxSize: 100,
+            compression: "none"
+          }
+        ]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results.map((entry) => entry.filePath)).toEqual([path.join("dist", "app.js")]);
+  });
+
+  it("excludes git-ignored files when respectGitignore is set", async () => {
+    execFileSync("git", ["init", "-q"], { cwd: tempDir });
+    await fs.mkdir(path.join(tempDir, "dist", "nested"), { recursive: true });
+    await fs.writeFile(path.join(tempDir, ".gitignore"), "*.tmp.js\n");
+    await fs.writeFile(path.join(tempDir, "dist", "nested", ".gitignore"), "local.js\n");
+    await Promise.all(
+      ["app.js", "build.tmp.js", "nested/local.js", "nested/kept.js"].map((file) =>
+        fs.writeFile(path.join(tempDir, "dist", file), "x")
+      )
+    );
+
+    const rule = { path: "dist/**/*.js", maxSize: 100, compression: "none" };
+    const filePaths = async (config) =>
+      (await runChecks(normalizeConfig(config, { cwd: tempDir }))).results.map((entry) => entry.filePath).sort();
+
+    expect(await filePaths({ respectGitignore: true, files: [rule] })).toEqual(
+      [path.join("dist", "app.js"), path.join("dist", "nested", "kept.js")]
+    );
+    expect(await filePaths({ files: [rule] })).toHaveLength(4);
+  });
+
+  it("rejects respectGitignore outside a git repository", async () => {
+    await fs.writeFile(path.join(tempDir, "app.js"), "x");
+
+    const config = normalizeConfig(
+      { respectGitignore: true, files: [{ path: "app.js", maxSize: 100, compression: "none" }] },
+      { cwd: tempDir }
+    );
+
+    await expect(runChecks(config)).rejects.toThrow(/respectGitignore requires a git repository/);
+  });
+
+  it("derives hash-insensitive file keys from [hash] placeholders and hashPattern", async () => {
+    await fs.mkdir(path.join(tempDir, "dist", "chunks"), { recursive: true });
+    await fs.writeFile(path.join(tempDir, "dist", "main.3f9a1c.js"), "x");
+    await fs.writeFile(path.join(tempDir, "dist", "chunks", "vendor-0a1b2c3d.js"), "x");
+    await fs.writeFile(path.join(tempDir, "dist", "app.js"), "x");
+
+    const config = normalizeConfig(
+      {
+        files: [
+          { path: "dist/main.[hash].js", maxSize: 100, compression: "none" },
+          { path: "dist/chunks/*.js", maxSize: 100, compression: "none", hashPattern: "[0-9a-f]{8}" },
+          { path: "dist/app.js", maxSize: 100, compression: "none" }
+        ]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results.map(({ filePath, fileKey }) => ({ filePath, fileKey }))).toEqual([
+      { filePath: path.join("dist", "main.3f9a1c.js"), fileKey: path.join("dist", "main.[hash].js") },
+      { filePath: path.join("dist", "chunks", "vendor-0a1b2c3d.js"), fileKey: path.join("dist", "chunks", "vendor-[hash].js") },
+      { filePath: path.join("dist", "app.js"), fileKey: path.join("dist", "app.js") }
+    ]);
+    expect(result.results[0].pattern).toBe("dist/main.[hash].js");
+  });
+
+  it("resolves label templates per match from the file name and path captures", async () => {
+    await fs.mkdir(path.join(tempDir, "dist", "locales"), { recursive: true });
+    await fs.writeFile(path.join(tempDir, "dist", "locales", "de.js"), "d".repeat(20));
+    await fs.writeFile(path.join(tempDir, "dist", "locales", "fr.js"), "f".repeat(30));
+    await fs.writeFile(path.join(tempDir, "dist", "main.3f9a1c.js"), "m".repeat(40));
+
+    const config = normalizeConfig(
+      {
+        defaultCompression: "none",
+        files: [
+          { label: "locale [locale]", path: "dist/locales/(?<locale>*).js", maxSize: 100 },
+          { label: "[name] ([ext] in [dir]) [unknown]", path: "dist/main.[hash].js", maxSize: 100 },
+          { label: "vendor [name]", path: "dist/vendor-*.js", maxSize: 100, onMissing: "skip" }
+        ],
+        groups: [{ label: "all locales", rules: ["locale [locale]"], maxSize: 100 }]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results.map(({ label, ruleLabel }) => [label, ruleLabel]).sort()).toEqual([
+      ["locale de", "locale [locale]"],
+      ["locale fr", "locale [locale]"],
+      ["main.[hash] (js in dist) [unknown]", "[name] ([ext] in [dir]) [unknown]"],
+      ["vendor [name]", "vendor [name]"]
+    ]);
+    expect(result.groups[0]).toMatchObject({ size: 50, passed: true });
+    expect(result.groups[0].files.map((file) => file.label).sort()).toEqual(["locale de", "locale fr"]);
+  });
+
+  it("warns or errors on unmatched globs according to onMissing", async () => {
+    await fs.writeFile(path.join(tempDir, "app.js"), "x".repeat(40));
+
+    const config = normalizeConfig(
+      {
+        onMissing: "warn",
+        files: [
+          { path: "app.js", maxSize: 100, compression: "none" },
+          { path: "web-*.js", maxSize: 100, compression: "none" },
+          { path: "native-*.js", maxSize: 100, compression: "none", onMissing: "error" }
+        ],
+        groups: [{ label: "bundles", rules: ["app.js", "web-*.js"], maxSize: 100, compression: "none" }]
+      },
+      { cwd: tempDir }
+    );
+
+    const result = await runChecks(config);
+    expect(result.results.map(({ status, passed, missing }) => ({ status, passed, missing }))).toEqual([
+      { status: "pass", passed: true, missing: undefined },
+      { status: "warn", passed: true, missing: true },
+      { status: "error", passed: false, missing: true }
+    ]);
+    expect(result.results[1].reason).toBe("No files matched this pattern");
+    expect(result.groups[0]).toMatchObject({ size: 40, status: "pass" });
+    expect(result.stats.warnings.map((entry) => entry.filePath)).toEqual(["web-*.js"]);
+    expect(result.stats.missing.map((entry) => entry.filePath)).toEqual(["web-*.js", "native-*.js"]);
+    expect(result.stats.failures.map((entry) => entry.filePath)).toEqual(["native-*.js"]);
+  });
+});
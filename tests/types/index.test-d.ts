@@ -4,19 +4,36 @@
  */
 import {
   DEFAULT_BASELINE_THRESHOLD,
+  badgeReporter,
   buildBaselineSnapshot,
+  consoleReporter,
+  csvReporter,
+  defineConfig,
+  githubReporter,
+  gitlabCodeQualityReporter,
+  htmlReporter,
   isWithinThreshold,
   listTesters,
   loadConfig,
+  loadReporter,
   normalizeConfig,
+  openMetricsReporter,
+  tapReporter,
   parseBaselineThreshold,
   reconcileBaseline,
   runChecks,
+  sarifReporter,
   serializeBaselineSnapshot,
   toBaselineEntries,
+  tsvReporter,
+  type AggregateMode,
   type BaselineEntry,
   type CheckResult,
+  type GroupResult,
+  type OnMissing,
   type OverweightConfig,
+  type Reporter,
+  type ResultStatus,
   type Tester
 } from "overweight";
 
@@ -25,23 +42,68 @@ const expectType = <T>(_value: T): void => {};
 const config: OverweightConfig = {
   root: "dist",
   defaultCompression: "brotli",
+  compressionOptions: { level: 5 },
+  warnAt: "90%",
+  failOnEmpty: true,
+  onMissing: "warn",
+  ignore: ["**/.cache/**"],
+  respectGitignore: true,
+  hashPattern: "[0-9a-f]{8}",
   files: [
     { path: "*.js", maxSize: "12 kB" },
-    { path: "*.css", maxSize: 4096, compression: "gzip", label: "styles" }
-  ]
+    { path: "*.wasm", maxSize: "40 kB", compressionOptions: { mode: "generic", windowBits: 22 } },
+    { path: "*.css", maxSize: 4096, compression: "gzip", label: "styles" },
+    { path: "app.js", limits: { gzip: "40 kB", brotli: "34 kB", none: 150_000 } },
+    {
+      path: "app.js",
+      limits: { gzip: "40 kB", brotli: "34 kB" },
+      compressionOptions: { gzip: { level: 6 }, brotli: { level: 5 } }
+    },
+    { path: "chunks/*.js", maxSize: "80 kB", aggregate: "concat" },
+    { path: "legacy/*.js", maxSize: "20 kB", onMissing: "skip" },
+    { path: "vendor.js", maxSize: "50 kB", warnAt: "45 kB" },
+    { path: "runtime.js", maxSize: "8 kB", minSize: "1 kB", failOnEmpty: false },
+    { path: "polyfills.js", maxSize: "10 kB", onMissing: "skip" },
+    { path: ["**/*.js", "!**/*.test.js"], maxSize: "90 kB", ignore: ["fixtures/**"], respectGitignore: false },
+    { path: "main.[hash].js", maxSize: "40 kB", hashPattern: "[0-9a-f]{6,}" }
+  ],
+  groups: [{ label: "critical path", rules: ["styles", "app.js"], maxSize: "60 kB", warnAt: 55_000 }]
 };
 
 // array shorthand is a valid config input
 const shorthand = normalizeConfig([{ path: "dist/*.js", maxSize: "1 kB" }]);
 expectType<string>(shorthand.root);
 expectType<number>(shorthand.files[0].maxBytes);
+expectType<number | undefined>(shorthand.files[0].compressionOptions.level);
+expectType<number[]>(shorthand.files[0].limits.map((limit) => limit.maxBytes));
+expectType<number | undefined>(shorthand.files[0].limits[0].compressionOptions.level);
+expectType<number | null>(shorthand.files[0].warnBytes);
+expectType<number | null>(shorthand.files[0].minBytes);
+expectType<boolean>(shorthand.files[0].failOnEmpty);
+expectType<OnMissing>(shorthand.files[0].onMissing);
+expectType<string[]>(shorthand.files[0].patterns);
+expectType<string[]>(shorthand.files[0].ignore);
+expectType<boolean>(shorthand.files[0].respectGitignore);
+expectType<string | null>(shorthand.files[0].hashPattern);
 
 const customTester: Tester = {
   id: "raw-copy",
   label: "Raw copy",
-  measure: async (buffer) => ({ bytes: buffer.byteLength })
+  measure: async (buffer, context) => ({ bytes: buffer.byteLength + Number(context.compressionOptions.level ?? 0) })
 };
 
+// defineConfig keeps the literal config type and accepts (async) factories
+expectType<OverweightConfig>(defineConfig({ files: [{ path: "*.js", maxSize: "1 kB" }], testers: [customTester] }));
+defineConfig(async () => [{ path: "*.js", maxSize: "1 kB" }]);
+defineConfig({ testers: ["./tools/tester.js", customTester], files: [{ path: "*.js", maxSize: "1 kB" }] });
+
+// custom reporters share the built-ins' contract and can compose them
+const customReporter: Reporter = async (result, options) => {
+  consoleReporter(result, options);
+  expectType<string | undefined>(options.reportFile);
+};
+defineConfig({ reporters: ["console", { name: "./tools/reporter.js", options: { reportFile: "out.txt" } }], files: [] });
+
 const run = async () => {
   const normalized = normalizeConfig(config, { cwd: "/tmp/project" });
   const loaded = await loadConfig({ cwd: "/tmp/project", configPath: "overweight.json" });
@@ -53,24 +115,59 @@ const run = async () => {
     testers: { "raw-copy": customTester }
   });
   await runChecks(config, { testers: new Map([["raw-copy", customTester]]) });
+  await customReporter(result, {});
+  await tapReporter(result, { reportFile: "overweight.tap" });
+  await csvReporter(result, { header: false });
+  await badgeReporter(result, { reportFile: "badges", labels: { "app.js": "app" }, nearLimit: 0.8 });
+  await tsvReporter(result, { reportFile: "sizes.tsv" });
+  await gitlabCodeQualityReporter(result, { cwd: "/tmp/project" });
+  await htmlReporter(result, { reportFile: "reports/size.html", baseline: null });
+  await openMetricsReporter(result, { reportFile: "/var/lib/node_exporter/overweight.prom" });
+  await sarifReporter(result, { reportFile: "reports/overweight.sarif", silent: true });
+  await githubReporter(result, { nearLimit: 0.95, configSource: { type: "file", location: "/tmp/overweight.json" } });
+  await (await loadReporter("./tools/reporter.js", { cwd: "/tmp" }, { baseDir: "/tmp/project" }))(result);
 
   expectType<boolean>(result.stats.hasFailures);
   expectType<number>(result.stats.files);
   expectType<CheckResult[]>(result.stats.failures);
+  expectType<GroupResult[]>(result.stats.groupFailures);
+  expectType<string[]>(result.stats.skipped.map((entry) => entry.reason));
+  expectType<boolean>(result.stats.hasWarnings);
+  expectType<Array<number | null>>(result.stats.warnings.map((entry) => entry.warnSize));
+  expectType<Array<true>>(result.stats.missing.map((entry) => entry.missing));
+  expectType<ResultStatus>(result.groups[0].status);
+  expectType<number | null>(result.groups[0].size);
 
   const [entry] = result.results;
   expectType<number | null>(entry.size);
   expectType<string | undefined>(entry.error);
 
-  // the union narrows on `error`
+  // the union narrows on `error`, then `missing`
   if (entry.error !== undefined) {
     expectType<null>(entry.size);
+  } else if (entry.missing) {
+    expectType<"warn" | "skip">(entry.status);
+    expectType<null>(entry.size);
+    expectType<string>(entry.reason);
+  } else if (entry.aggregate) {
+    expectType<AggregateMode>(entry.aggregate);
+    expectType<number>(entry.files[0].size);
+    expectType<undefined>(entry.absolutePath);
   } else {
+    expectType<"pass" | "warn" | "fail">(entry.status);
     expectType<number>(entry.size);
     expectType<string>(entry.absolutePath);
+    expectType<undefined>(entry.files);
+    expectType<string | undefined>(entry.reason);
   }
 
+  expectType<number | null>(entry.minSize);
+  expectType<string>(entry.fileKey);
+  expectType<string>(entry.ruleLabel);
+
   const entries: BaselineEntry[] = toBaselineEntries(result);
+  expectType<"warn" | "skip" | undefined>(entries[0].missing);
+  expectType<string | undefined>(entries[0].fileKey);
   expectType<string>(serializeBaselineSnapshot(buildBaselineSnapshot(entries)));
 
   const threshold = parseBaselineThreshold("1 kB");
@@ -85,7 +182,7 @@ const run = async () => {
   expectType<boolean>(needsUpdate);
   expectType<BaselineEntry[]>(rows);
 
-  expectType<Array<{ id: "none" | "gzip" | "brotli"; label: string }>>(listTesters());
+  expectType<Array<{ id: "none" | "gzip" | "brotli" | "zstd"; label: string }>>(listTesters());
 };
 
 void run;
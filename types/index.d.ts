@@ -6,7 +6,7 @@
  */
 
 /** Ids of the built-in testers. Custom testers may register any id. */
-export type BuiltinTesterId = "none" | "gzip" | "brotli";
+export type BuiltinTesterId = "none" | "gzip" | "brotli" | "zstd";
 
 /**
  * A tester id. Built-in ids are suggested by autocomplete while any custom id
@@ -17,30 +17,155 @@ export type TesterId = BuiltinTesterId | (string & {});
 /** A byte count (`1024`) or a human-readable size string (`"12 kB"`, `"1.5mb"`). */
 export type SizeInput = string | number;
 
+/**
+ * Compression settings handed to testers through {@link TesterContext}. The
+ * built-ins read the known keys; custom testers may define their own.
+ */
+export interface CompressionOptions {
+  /** gzip level (0-9), brotli quality (0-11, default 11), or zstd level. */
+  level?: number;
+  /** gzip `windowBits`, brotli `lgwin`, or zstd `windowLog`. */
+  windowBits?: number;
+  /** gzip `memLevel`. */
+  memLevel?: number;
+  /** Brotli compression mode. Defaults to `"text"`. */
+  mode?: "generic" | "text" | "font";
+  [key: string]: unknown;
+}
+
+/**
+ * `compressionOptions` as configured: shared settings plus, keyed by tester id,
+ * settings for that tester alone (e.g. `{ level: 9, brotli: { level: 5 } }`).
+ */
+export interface CompressionOptionsInput extends CompressionOptions {
+  gzip?: CompressionOptions;
+  brotli?: CompressionOptions;
+  zstd?: CompressionOptions;
+}
+
+/**
+ * How an aggregate rule folds its matches into one row: `sum` adds the
+ * individually measured sizes, `concat` measures the matches joined together.
+ */
+export type AggregateMode = "sum" | "concat";
+
+/** What a glob matching no file produces: a failing error row, a passing warning row, or a skipped row. */
+export type OnMissing = "error" | "warn" | "skip";
+
 /** A single file rule as authored in an overweight config. */
 export interface FileRule {
-  /** Path or glob, resolved against the config `root`. */
-  path: string;
-  /** Maximum allowed measured size. Required by the config schema. */
-  maxSize: SizeInput;
+  /**
+   * Path or glob, resolved against the config `root`. An array may list several
+   * globs; entries starting with `!` exclude matches, like `ignore`.
+   */
+  path: string | string[];
+  /** Maximum allowed measured size. Required unless `limits` is given. */
+  maxSize?: SizeInput;
   /** Tester id for this rule. Defaults to the config `defaultCompression`. */
   compression?: TesterId;
-  /** Display name. Defaults to `path`. */
+  /**
+   * One limit per tester, e.g. `{ gzip: "40 kB", brotli: "34 kB" }`. Each matched
+   * file is read once and measured by every listed tester. Replaces `maxSize`/`compression`.
+   */
+  limits?: Partial<Record<TesterId, SizeInput>>;
+  /** Budget the total of all matches as a single row instead of one row per file. */
+  aggregate?: AggregateMode;
+  /**
+   * Tester settings, merged over the config-level `compressionOptions`. Entries keyed
+   * by a tester id apply to that tester only, so a `limits` rule can tune each one.
+   */
+  compressionOptions?: CompressionOptionsInput;
+  /**
+   * Display name. Defaults to `path`. May be a template resolved per matched file:
+   * `[name]`, `[dir]` and `[ext]` from the file, and `[<group>]` from a
+   * `(?<group>glob)` capture in `path`. Not allowed on `aggregate` rules.
+   */
   label?: string;
+  /** What a glob matching nothing produces. Overrides the config `onMissing`. */
+  onMissing?: OnMissing;
+  /** Globs (relative to `root`) whose matches are excluded. Added to the config `ignore`. */
+  ignore?: string[];
+  /** Exclude files git ignores (`.gitignore`, `.git/info/exclude`). Overrides the config `respectGitignore`. */
+  respectGitignore?: boolean;
+  /**
+   * Regular expression source matching content hashes in file paths (e.g.
+   * `"[0-9a-f]{6,}"`); matches become `[hash]` in baseline keys. A `[hash]`
+   * placeholder in `path` does the same for that spot. Overrides the config `hashPattern`.
+   */
+  hashPattern?: string;
+  /** Early-warning threshold: a share of the limit (`"90%"`) or an absolute size. Overrides the config `warnAt`. */
+  warnAt?: SizeInput;
+  /**
+   * Smallest allowed uncompressed size; anything below fails on every tester (e.g. a build that
+   * emitted a stub). Only a `none` limit must be at least this large.
+   */
+  minSize?: SizeInput;
+  /** Fail when a matched file is 0 bytes on disk. Overrides the config `failOnEmpty`. */
+  failOnEmpty?: boolean;
 }
 
+/** A named budget over the combined size of several rules. */
+export interface GroupRule {
+  /** Display name of the group. */
+  label: string;
+  /** Labels of the file rules whose measured sizes are summed. */
+  rules: string[];
+  /** Maximum allowed combined size. */
+  maxSize: SizeInput;
+  /** Which tester's measurements to sum. Defaults to the config `defaultCompression`. */
+  compression?: TesterId;
+  /** Early-warning threshold for the group. Overrides the config `warnAt`. */
+  warnAt?: SizeInput;
+}
+
+/** A reporter entry in the config: a built-in name or module path, optionally with options. */
+export type ReporterConfig = string | { name: string; options?: ReporterOptions };
+
 /** The object form of an overweight config. */
 export interface OverweightConfig {
   /** Directory globs resolve against. Defaults to the resolution `cwd`. */
   root?: string;
   /** Tester used by rules that omit `compression`. Defaults to `"gzip"`. */
   defaultCompression?: TesterId;
+  /** Tester settings applied to every rule; entries keyed by a tester id apply to that tester only. */
+  compressionOptions?: CompressionOptionsInput;
+  /** Default early-warning threshold for rules and groups, e.g. `"90%"` or `"45 kB"`. */
+  warnAt?: SizeInput;
+  /** Default for the rules' `failOnEmpty`. Defaults to `false`. */
+  failOnEmpty?: boolean;
+  /** Default for the rules' `onMissing`. Defaults to `"error"`. */
+  onMissing?: OnMissing;
+  /** Globs excluded from every rule's matches. */
+  ignore?: string[];
+  /** Default for the rules' `respectGitignore`. Defaults to `false`. */
+  respectGitignore?: boolean;
+  /** Default for the rules' `hashPattern`. */
+  hashPattern?: string;
   files: FileRule[];
+  /** Budgets spanning several rules, referenced by label. */
+  groups?: GroupRule[];
+  /**
+   * Custom testers available to every rule, merged over the built-ins. Either
+   * tester objects (JavaScript/TypeScript configs, Node API) or module specifiers
+   * whose default export is a tester, resolved relative to the config file by
+   * {@link loadConfig}.
+   */
+  testers?: Array<Tester | string>;
+  /**
+   * Reporters the CLI runs when `--reporter` is not given. Module paths resolve
+   * relative to the config file.
+   */
+  reporters?: ReporterConfig[];
 }
 
 /** A config as accepted by the API: the object form, or a bare array of rules. */
 export type OverweightConfigInput = OverweightConfig | FileRule[];
 
+/** What an `overweight.config.*` module may default-export. */
+export type OverweightConfigExport =
+  | OverweightConfigInput
+  | (() => OverweightConfigInput | Promise<OverweightConfigInput>);
+
 /** Where a config was resolved from. */
 export interface ConfigSource {
   type: "inline" | "file" | "package" | (string & {});
@@ -48,12 +173,8 @@ export interface ConfigSource {
   location?: string;
 }
 
-/** A file rule after normalization: sizes parsed, defaults applied. */
-export interface NormalizedFileRule {
-  path: string;
-  /** Same value as `path`; the glob handed to the file resolver. */
-  pattern: string;
-  label: string;
+/** One tester/limit pair of a normalized rule. */
+export interface NormalizedLimit {
   compression: TesterId;
   /** `maxSize` parsed to exact bytes. */
   maxBytes: number;
@@ -63,6 +184,47 @@ export interface NormalizedFileRule {
   maxDisplay: string;
   /** `maxBytes` rendered human-readable. */
   maxFormatted: string;
+  /** The resolved `warnAt` threshold in bytes, or null when none applies. */
+  warnBytes: number | null;
+}
+
+/** One tester of a file rule, with the `compressionOptions` it runs with. */
+export interface NormalizedRuleLimit extends NormalizedLimit {
+  /** Config-level then rule-level options, each shared settings first and this tester's entry last. */
+  compressionOptions: CompressionOptions;
+}
+
+/**
+ * A file rule after normalization: sizes parsed, defaults applied. The
+ * top-level limit fields mirror the first entry of `limits`.
+ */
+export interface NormalizedFileRule extends NormalizedRuleLimit {
+  /** The rule's globs without negated entries, comma-separated. */
+  path: string;
+  /** Same value as `path`; used to display and key the rule. */
+  pattern: string;
+  /** The globs handed to the file resolver. */
+  patterns: string[];
+  label: string;
+  /** Every tester/limit pair to check; a single entry for `maxSize` rules. */
+  limits: NormalizedRuleLimit[];
+  aggregate: AggregateMode | null;
+  onMissing: OnMissing;
+  /** The config `ignore`, the rule's `ignore`, and the negated entries of `path`, merged. */
+  ignore: string[];
+  respectGitignore: boolean;
+  hashPattern: string | null;
+  /** `minSize` parsed to exact bytes, or null when unset. */
+  minBytes: number | null;
+  /** `minBytes` rendered human-readable, or null when unset. */
+  minFormatted: string | null;
+  failOnEmpty: boolean;
+}
+
+/** A group after normalization: size parsed, tester defaulted. */
+export interface NormalizedGroup extends NormalizedLimit {
+  label: string;
+  rules: string[];
 }
 
 /**
@@ -73,7 +235,12 @@ export interface NormalizedConfig {
   /** Absolute root directory. */
   root: string;
   defaultCompression: TesterId;
+  compressionOptions: CompressionOptionsInput;
   files: NormalizedFileRule[];
+  groups: NormalizedGroup[];
+  /** Testers declared in the config, with labels defaulted. */
+  testers: Tester[];
+  reporters: Array<{ name: string; options: ReporterOptions }>;
   source: ConfigSource;
 }
 
@@ -93,17 +260,19 @@ export interface LoadConfigOptions {
 
 /** Context passed to a tester alongside the file contents. */
 export interface TesterContext {
-  /** Absolute path of the file being measured. */
+  /** Absolute path of the file being measured; the rule's first glob, resolved, for a `concat` aggregate. */
   filePath: string;
   /** The glob that matched it. */
   pattern: string;
+  /** The options resolved for this tester; empty when none were configured. */
+  compressionOptions: CompressionOptions;
 }
 
 export interface TesterMeasurement {
   bytes: number;
 }
 
-/** A measurement strategy. Built-ins: `none`, `gzip`, `brotli`. */
+/** A measurement strategy. Built-ins: `none`, `gzip`, `brotli`, `zstd`. */
 export interface Tester {
   id: TesterId;
   /** Display name. Defaults to `id`. */
@@ -114,20 +283,45 @@ export interface Tester {
   ): TesterMeasurement | Promise<TesterMeasurement>;
 }
 
+/** Outcome of a row or group; `warn` rows still pass. */
+export type ResultStatus = "pass" | "warn" | "fail" | "error" | "skip";
+
 interface CheckResultBase {
-  /** The glob that produced this row. */
+  /** The glob that produced this row; the entries of an array `path` joined with `", "`. */
   pattern: string;
+  /** The rule's `path` entries, without negated ones. */
+  patterns: string[];
+  /** `filePath` with content hashes replaced by `[hash]`; keys the row in baselines. */
+  fileKey: string;
+  /** The rule label, with templates resolved for this file. */
   label: string;
+  /** The rule label as configured; groups reference rules by it. */
+  ruleLabel: string;
   tester: TesterId;
   testerLabel: string;
   sizeFormatted: string;
   /** The rule's limit in exact bytes. */
   maxSize: number;
   maxSizeFormatted: string;
+  /** The `warnAt` threshold in bytes, or null when none applies. */
+  warnSize: number | null;
+  /** The rule's `minSize` in bytes (compared with the uncompressed size), or null when unset. */
+  minSize: number | null;
   diffFormatted: string;
+  status: ResultStatus;
   passed: boolean;
 }
 
+/** One matched file's share of an aggregate row. */
+export interface AggregateFileBreakdown {
+  /** Path relative to the config `root`. */
+  filePath: string;
+  absolutePath: string;
+  /** The file measured on its own, in bytes. */
+  size: number;
+  sizeFormatted: string;
+}
+
 /** A row for a file that was found and measured. */
 export interface MeasuredCheckResult extends CheckResultBase {
   /** Path relative to the config `root`. */
@@ -137,36 +331,150 @@ export interface MeasuredCheckResult extends CheckResultBase {
   size: number;
   /** `size - maxSize`; negative means headroom. */
   diff: number;
+  status: "pass" | "warn" | "fail";
   passed: boolean;
   error?: undefined;
+  skipped?: undefined;
+  missing?: undefined;
+  /** Why a row failed its `minSize` or `failOnEmpty` guard. */
+  reason?: string;
+  aggregate?: undefined;
+  files?: undefined;
 }
 
-/** A row for a glob that matched no file. Always counts as a failure. */
+/** The single row per tester of an `aggregate` rule, covering all of its matches. */
+export interface AggregateCheckResult extends CheckResultBase {
+  /** The rule's pattern; no single file backs the row. */
+  filePath: string;
+  absolutePath?: undefined;
+  /** Combined size in bytes, per the rule's `aggregate` mode. */
+  size: number;
+  /** `size - maxSize`; negative means headroom. */
+  diff: number;
+  status: "pass" | "warn" | "fail";
+  passed: boolean;
+  error?: undefined;
+  skipped?: undefined;
+  missing?: undefined;
+  /** Why a row failed its `minSize` or `failOnEmpty` guard. */
+  reason?: string;
+  aggregate: AggregateMode;
+  /** Per-file breakdown, each file measured on its own. */
+  files: AggregateFileBreakdown[];
+}
+
+/** A row for a glob that matched no file under `onMissing: "error"`. Always counts as a failure. */
 export interface MissingCheckResult extends CheckResultBase {
   /** Falls back to the unmatched pattern. */
   filePath: string;
   absolutePath?: undefined;
   size: null;
   diff: null;
+  status: "error";
   passed: false;
   error: string;
+  skipped?: undefined;
+  missing: true;
 }
 
-/** One row per matched file — a single rule can yield many. */
-export type CheckResult = MeasuredCheckResult | MissingCheckResult;
+/** A row for a glob that matched no file under `onMissing: "warn"`. Passes, and counts as a warning. */
+export interface MissingWarningCheckResult extends CheckResultBase {
+  /** Falls back to the unmatched pattern. */
+  filePath: string;
+  absolutePath?: undefined;
+  size: null;
+  diff: null;
+  status: "warn";
+  passed: true;
+  error?: undefined;
+  skipped?: undefined;
+  missing: true;
+  /** Why the row was flagged. */
+  reason: string;
+}
+
+/** A row for a glob that matched no file under `onMissing: "skip"`. Never counts as a failure. */
+export interface SkippedCheckResult extends CheckResultBase {
+  /** Falls back to the unmatched pattern. */
+  filePath: string;
+  absolutePath?: undefined;
+  size: null;
+  diff: null;
+  status: "skip";
+  passed: true;
+  error?: undefined;
+  skipped: true;
+  missing: true;
+  /** Why the row was skipped. */
+  reason: string;
+}
+
+/** One row per matched file and tester — a single rule can yield many. */
+export type CheckResult =
+  | MeasuredCheckResult
+  | AggregateCheckResult
+  | MissingCheckResult
+  | MissingWarningCheckResult
+  | SkippedCheckResult;
+
+/** A rule's measured row as counted towards a group. */
+export interface GroupMember {
+  /** The row's label (templates resolved). */
+  label: string;
+  filePath: string;
+  size: number;
+  sizeFormatted: string;
+}
+
+/** The outcome of one budget group. */
+export interface GroupResult {
+  label: string;
+  rules: string[];
+  tester: TesterId;
+  testerLabel: string;
+  /** Combined size of `files`; `null` when a referenced rule has no measurement. */
+  size: number | null;
+  sizeFormatted: string;
+  maxSize: number;
+  maxSizeFormatted: string;
+  diff: number | null;
+  diffFormatted: string;
+  /** The `warnAt` threshold in bytes, or null when none applies. */
+  warnSize: number | null;
+  status: "pass" | "warn" | "fail" | "error";
+  passed: boolean;
+  /** Set when a referenced rule produced no row for the group's tester. */
+  error?: string;
+  /** The rows that were summed. */
+  files: GroupMember[];
+}
 
 export interface RunChecksStats {
   /** Total number of result rows. */
   files: number;
   /** Rows that exceeded their limit or errored. */
   failures: CheckResult[];
+  /** Groups that exceeded their limit or errored. */
+  groupFailures: GroupResult[];
+  /** Rows of `onMissing: "skip"` rules that matched no file. */
+  skipped: SkippedCheckResult[];
+  /** Every row for a glob that matched no file, whatever its `onMissing`. */
+  missing: Array<MissingCheckResult | MissingWarningCheckResult | SkippedCheckResult>;
+  /** Passing rows at or above their `warnAt` threshold, and unmatched `onMissing: "warn"` rows. */
+  warnings: Array<MeasuredCheckResult | AggregateCheckResult | MissingWarningCheckResult>;
+  /** Passing groups at or above their `warnAt` threshold. */
+  groupWarnings: GroupResult[];
   hasFailures: boolean;
+  /** True when `warnings` or `groupWarnings` is non-empty. */
+  hasWarnings: boolean;
   /** True when at least one failure carries an `error` (e.g. an unmatched glob). */
   hasErrors: boolean;
 }
 
 export interface RunChecksResult {
   results: CheckResult[];
+  /** One entry per configured group, in config order. */
+  groups: GroupResult[];
   stats: RunChecksStats;
 }
 
@@ -177,20 +485,29 @@ export interface RunChecksOptions {
 
 /**
  * Resolve a config: inline value, explicit path, or the search order
- * `overweight.json` → `overweight.config.json` → `package.json#overweight`.
+ * `overweight.json` → `overweight.config.json` → `overweight.config.{js,mjs,cjs,ts,mts,cts}`
+ * → `package.json#overweight`.
  * @throws When no config is found or the file is invalid.
  */
 export function loadConfig(options?: LoadConfigOptions): Promise<NormalizedConfig>;
 
 /**
  * Validate a raw config and resolve roots, sizes, labels, and tester ids.
- * @throws When the config fails schema validation or a size is unparseable.
+ * Tester module specifiers are not loaded here; use {@link loadConfig} for those.
+ * @throws When the config fails schema validation, a size is unparseable, or
+ *   `testers` still contains a module specifier.
  */
 export function normalizeConfig(
   rawConfig: OverweightConfigInput,
   options?: NormalizeConfigOptions,
 ): NormalizedConfig;
 
+/**
+ * Identity helper for `overweight.config.*` files that types the exported config.
+ * Accepts the config itself or a (possibly async) function returning it.
+ */
+export function defineConfig<T extends OverweightConfigExport>(config: T): T;
+
 /** Measure every file matched by the config against its `maxSize` rule. */
 export function runChecks(
   config: OverweightConfigInput | NormalizedConfig,
@@ -200,16 +517,123 @@ export function runChecks(
 /** The built-in testers. */
 export function listTesters(): Array<{ id: BuiltinTesterId; label: string }>;
 
+/* --------------------------------- reporters --------------------------------- */
+
+/** Options handed to a reporter as its second argument. */
+export interface ReporterOptions {
+  /** Target file for file-writing reporters, resolved against `cwd`. */
+  reportFile?: string;
+  /** Base directory for relative output paths. Defaults to `process.cwd()`. */
+  cwd?: string;
+  /** Suppress confirmation messages (e.g. "Saved Overweight report to …"). */
+  silent?: boolean;
+  /** Previous baseline entries (the CLI's `--baseline`), for reporters that show trends. */
+  baseline?: BaselineEntry[] | null;
+  /** Where the config was loaded from, for reporters that link back to it. */
+  configSource?: ConfigSource;
+  [key: string]: unknown;
+}
+
+/** Renders a `runChecks` result. Custom reporter modules default-export one of these. */
+export type Reporter = (result: RunChecksResult, options: ReporterOptions) => void | Promise<void>;
+
+/**
+ * Writes an SVG badge per rule label (and tester) and per group into the directory
+ * `options.reportFile` (default `overweight-badges`). Colored green, yellow from
+ * `options.nearLimit` (default `0.9`) of the limit, and red when over; `options.labels`
+ * maps rule/group labels to badge text.
+ */
+export const badgeReporter: Reporter;
+/** Prints a table of results and a pass/fail summary. */
+export const consoleReporter: Reporter;
+/**
+ * Prints one CSV line per result (raw byte fields plus formatted ones, in a fixed
+ * column order), or writes it to `options.reportFile`. `options.header: false` drops
+ * the header line.
+ */
+export const csvReporter: Reporter;
+/**
+ * Prints the console table inside a `::group::` and GitHub Actions `::error`/`::warning`
+ * annotations pointing at the config file. `options.nearLimit` (default `0.9`) sets the
+ * share of a limit at which passing rows are flagged.
+ */
+export const githubReporter: Reporter;
+/**
+ * Writes a GitLab Code Quality report to `options.reportFile` (default
+ * `gl-code-quality-report.json`): one issue per failed or errored check, with a
+ * fingerprint derived from label, file, and tester, and a severity that grows with
+ * the share over the limit.
+ */
+export const gitlabCodeQualityReporter: Reporter;
+/**
+ * Writes a self-contained HTML page to `options.reportFile` (default
+ * `overweight-report.html`) with the results table, per-tester bar charts, and a
+ * treemap; adds a baseline delta column and sparkline when `options.baseline` is set.
+ */
+export const htmlReporter: Reporter;
+/** Prints the result as pretty JSON on stdout. */
+export const jsonReporter: Reporter;
+/** Writes the result as JSON to `options.reportFile` (default `overweight-report.json`). */
+export const jsonFileReporter: Reporter;
+/** Writes JUnit XML to `options.reportFile` (default `overweight-junit.xml`). */
+export const junitReporter: Reporter;
+/**
+ * Prints a GitHub-flavored markdown report, or writes it to `options.reportFile`.
+ * Shows trends against `options.baseline` when supplied.
+ */
+export const markdownReporter: Reporter;
+/**
+ * Writes OpenMetrics gauges (`overweight_file_size_bytes`, `overweight_file_limit_bytes`,
+ * `overweight_check_failures_total`, and their group equivalents) to `options.reportFile`
+ * (default `overweight.prom`), atomically via a temporary file.
+ */
+export const openMetricsReporter: Reporter;
+/**
+ * Writes a SARIF 2.1.0 log to `options.reportFile` (default `overweight.sarif`), with a
+ * result per failed or errored check located at the measured file and the config file.
+ */
+export const sarifReporter: Reporter;
+/** Produces no output. */
+export const silentReporter: Reporter;
+/** Prints TAP version 14, or writes it to `options.reportFile`. */
+export const tapReporter: Reporter;
+/** Same as {@link csvReporter}, tab-separated. */
+export const tsvReporter: Reporter;
+
+/**
+ * A built-in reporter bound to `options`.
+ * @throws For names that are not built in.
+ */
+export function getReporter(
+  name?: string,
+  options?: ReporterOptions,
+): (result: RunChecksResult) => void | Promise<void>;
+
+/**
+ * Like {@link getReporter}, but a name that is not built in is imported as a module
+ * specifier (resolved against `baseDir`, default `process.cwd()`) whose default export
+ * is a {@link Reporter}.
+ */
+export function loadReporter(
+  name?: string,
+  options?: ReporterOptions,
+  context?: { baseDir?: string },
+): Promise<(result: RunChecksResult) => void | Promise<void>>;
+
 /* ---------------------------------- baseline --------------------------------- */
 
 /** Default baseline tolerance: 1% of the previously recorded size. */
 export const DEFAULT_BASELINE_THRESHOLD: number;
 
-/** The serializable shape stored in a baseline file, keyed by `file`. */
+/** The serializable shape stored in a baseline file, keyed by `file` and `tester`. */
 export interface BaselineEntry {
   label: string;
-  /** Path relative to the config `root`; the entry key. */
+  /** The configured label when `label` was resolved from a template; ties the entry to its rule. */
+  ruleLabel?: string;
+  /** Path relative to the config `root`; together with `tester`, the entry key. */
   file: string;
+  /** `file` with content hashes replaced by `[hash]`; keys the entry instead of `file` when set. */
+  fileKey?: string;
   tester: string;
   /** Human-readable measured size. */
   size: string;
@@ -217,6 +641,11 @@ export interface BaselineEntry {
   /** Human-readable limit. */
   limit: string;
   limitBytes: number;
+  /**
+   * Set on the entry of a rule whose glob matched nothing under `onMissing: "warn"`
+   * or `"skip"`: keyed by the pattern, with `size: "N/A"` and `sizeBytes: 0`.
+   */
+  missing?: "warn" | "skip";
 }
 
 /** A parsed tolerance: `max(thresholdBytes, thresholdPercent * previousBytes)`. */
@@ -243,10 +672,10 @@ export function isWithinThreshold(
   threshold: BaselineThresholdInput,
 ): boolean;
 
-/** Convert a `runChecks` result to baseline entries, skipping unmeasured rows. */
+/** Convert a `runChecks` result to baseline entries: measured rows, plus `missing` entries for tolerated unmatched rules. */
 export function toBaselineEntries(result: RunChecksResult): BaselineEntry[];
 
-/** Project rows down to the {@link BaselineEntry} shape, sorted by `file`. */
+/** Project rows down to the {@link BaselineEntry} shape, sorted by `file` then `tester`. */
 export function buildBaselineSnapshot(entries: BaselineEntry[]): BaselineEntry[];
 
 /** Serialize entries into the canonical baseline JSON document. */